@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         M365 Copilot Chat Exporter
 // @namespace    https://github.com/ingo/m365-copilot-chat-exporter
-// @version      4.4
+// @version      5.0
 // @description  Export Microsoft 365 Copilot conversations as ChatGPT-compatible conversations.json
 // @license      MIT
 // @author       ingo
@@ -22,6 +22,14 @@
   const conversations = new Map();
   const rawCaptures = [];
   let isFetchingAll = false;
+  const fetchControl = { paused: false, cancelled: false };
+  let pendingCheckpoint = null;
+  let storedDataLoaded = false;
+  const deferredCaptures = [];
+  let lastFailures = [];
+  const selectedIds = new Set();
+  // The page's fetch before installInterceptors wraps it
+  let pageFetch = null;
 
   const SKIP_MESSAGE_TYPES = new Set([
     "CrossPluginGroundingData",
@@ -36,15 +44,56 @@
     "AdsQuery",
   ]);
 
+  // ── Stored settings ───────────────────────────────────────────────
+
+  /**
+   * A JSON value saved in localStorage, or fallback when it is missing or
+   * unreadable.  The get*Settings functions validate each field.
+   */
+  function loadJsonSetting(key, fallback = {}) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
   // ── Text sanitization ──────────────────────────────────────────────
 
+  const TEXT_MODE_KEY = "copilot-export-text-mode";
+
   /**
-   * Sanitize text to ensure it doesn't contain problematic control characters
-   * that could break JSON encoding. Removes ASCII control characters (0-31)
-   * and replaces newlines/tabs with spaces to avoid JSON encoding issues.
+   * "faithful" (default) keeps newlines, tabs and markdown structure;
+   * "legacy" flattens them to spaces like versions up to 4.4 did.
    */
-  function sanitizeText(text) {
+  function getTextMode() {
+    return localStorage.getItem(TEXT_MODE_KEY) === "legacy" ? "legacy" : "faithful";
+  }
+
+  function setTextMode(mode) {
+    if (mode === "legacy") localStorage.setItem(TEXT_MODE_KEY, "legacy");
+    else localStorage.removeItem(TEXT_MODE_KEY);
+  }
+
+  /**
+   * Sanitize text for export.  JSON.stringify already escapes control
+   * characters, so faithful mode only strips characters that are invalid
+   * in any text format: NUL, lone UTF-16 surrogates and U+FFFE/U+FFFF.
+   */
+  function sanitizeText(text, mode = "faithful") {
     if (!text) return text;
+    if (mode === "legacy") return flattenText(text);
+    return text.replace(
+      /\u0000|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]|[\uFFFE\uFFFF]/g,
+      ""
+    );
+  }
+
+  /**
+   * Legacy sanitization: removes ASCII control characters (0-31) and
+   * replaces newlines/tabs with spaces to avoid JSON encoding issues.
+   */
+  function flattenText(text) {
     let result = "";
     for (let i = 0; i < text.length; i++) {
       const char = text[i];
@@ -124,16 +173,270 @@
 
   /**
    * Check whether a conversation falls within the active date range.
-   * createTimeUtc from the Substrate API is in Unix milliseconds.
+   * createTimeUtc/updateTimeUtc from the Substrate API are in Unix
+   * milliseconds; dateField picks which one is compared.
    */
-  function isInDateRange(conv, range) {
+  function isInDateRange(conv, range, dateField = "created") {
     if (!range) return true;
-    const ts = conv.createTimeUtc;
+    const ts = dateField === "updated" ? conv.updateTimeUtc || conv.createTimeUtc : conv.createTimeUtc;
     if (!ts) return true; // keep conversations with unknown dates
     const d = new Date(typeof ts === "number" && ts > 1e12 ? ts : ts);
     return d >= range.from && d < range.to;
   }
 
+  // ── Export filter ─────────────────────────────────────────────────
+
+  /** Agent filter value for chats held with Copilot itself. */
+  const NO_AGENT = "(none)";
+
+  /**
+   * Read the filter controls into a filter model:
+   * { range, dateField, keyword, titlePattern, minMessages, maxMessages, tone, agent }.
+   * Throws if the title pattern is not a valid regular expression.
+   */
+  function getActiveFilter() {
+    const value = (id) => (document.getElementById(id)?.value || "").trim();
+    const count = (id) => {
+      const n = parseInt(value(id), 10);
+      return isNaN(n) ? null : n;
+    };
+
+    let titlePattern = null;
+    if (value("copilot-filter-title")) {
+      try {
+        titlePattern = new RegExp(value("copilot-filter-title"), "i");
+      } catch (e) {
+        throw new Error(`Invalid title pattern: ${e.message}`);
+      }
+    }
+
+    return {
+      range: getDateRange(),
+      dateField: value("copilot-filter-date-field") === "updated" ? "updated" : "created",
+      keyword: value("copilot-filter-keyword").toLowerCase(),
+      titlePattern,
+      minMessages: count("copilot-filter-min"),
+      maxMessages: count("copilot-filter-max"),
+      tone: value("copilot-filter-tone"),
+      agent: value("copilot-filter-agent"),
+    };
+  }
+
+  function isFilterActive(filter) {
+    return !!(
+      filter.range ||
+      filter.keyword ||
+      filter.titlePattern ||
+      filter.minMessages !== null ||
+      filter.maxMessages !== null ||
+      filter.tone ||
+      filter.agent
+    );
+  }
+
+  /**
+   * Criteria that only need chat list metadata (dates, title, tone, agent), so
+   * Fetch All can apply them before fetching any content.
+   */
+  function matchesMetadataFilter(conv, filter) {
+    if (!isInDateRange(conv, filter.range, filter.dateField)) return false;
+    if (filter.titlePattern && !filter.titlePattern.test(conv.chatName || "")) return false;
+    if (filter.tone && (conv.tone || "") !== filter.tone) return false;
+    if (filter.agent && (conv.agent?.id || NO_AGENT) !== filter.agent) return false;
+    return true;
+  }
+
+  /**
+   * Full filter, including the criteria that need message content.
+   */
+  function matchesFilter(conv, filter) {
+    if (!matchesMetadataFilter(conv, filter)) return false;
+    const count = conv.messages?.length || 0;
+    if (filter.minMessages !== null && count < filter.minMessages) return false;
+    if (filter.maxMessages !== null && count > filter.maxMessages) return false;
+    if (filter.keyword) {
+      const inTitle = (conv.chatName || "").toLowerCase().includes(filter.keyword);
+      if (!inTitle && !(conv.messages || []).some((m) => getMessageText(m).toLowerCase().includes(filter.keyword))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * One-line summary of the active filter for the status line.
+   */
+  function describeFilter(filter) {
+    const parts = [];
+    if (filter.range) {
+      const preset = document.getElementById("copilot-date-range");
+      const label = preset?.value === "custom"
+        ? `${filter.range.from.toLocaleDateString()}–${new Date(filter.range.to - 86400000).toLocaleDateString()}`
+        : preset?.selectedOptions[0]?.textContent.toLowerCase();
+      parts.push(`${filter.dateField} ${label}`);
+    }
+    if (filter.keyword) parts.push(`keyword "${filter.keyword}"`);
+    if (filter.titlePattern) parts.push(`title /${filter.titlePattern.source}/`);
+    if (filter.minMessages !== null && filter.maxMessages !== null) parts.push(`${filter.minMessages}–${filter.maxMessages} msgs`);
+    else if (filter.minMessages !== null) parts.push(`≥${filter.minMessages} msgs`);
+    else if (filter.maxMessages !== null) parts.push(`≤${filter.maxMessages} msgs`);
+    if (filter.tone) parts.push(`tone ${filter.tone}`);
+    if (filter.agent) {
+      const label = document.getElementById("copilot-filter-agent")?.selectedOptions[0]?.textContent;
+      parts.push(filter.agent === NO_AGENT ? "no agent" : `agent ${label || filter.agent}`);
+    }
+    return parts.length > 0 ? `Filter: ${parts.join(" · ")}` : "No filter";
+  }
+
+  // ── Redaction ─────────────────────────────────────────────────────
+
+  const REDACTION_KEY = "copilot-export-redaction";
+
+  /**
+   * Built-in rules, applied in this order (UPNs before the more general
+   * email rule, GUIDs before their digit groups can pass for phone
+   * numbers).  Matches become numbered placeholders such as [EMAIL-3]:
+   * the same value always gets the same placeholder within an export, so
+   * redacted IDs stay unique and conversations stay linkable.
+   */
+  const BUILT_IN_REDACTIONS = [
+    {
+      id: "upn",
+      label: "UPNs",
+      placeholder: "UPN",
+      pattern: /\bOid:[0-9a-f-]{36}@[0-9a-f-]{36}\b|\b[\w.+-]+@[\w-]+\.onmicrosoft\.com\b/gi,
+    },
+    {
+      id: "email",
+      label: "email addresses",
+      placeholder: "EMAIL",
+      pattern: /\b[\w.%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\b/gi,
+    },
+    {
+      id: "guid",
+      label: "GUIDs",
+      placeholder: "GUID",
+      pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    },
+    {
+      id: "phone",
+      label: "phone numbers",
+      placeholder: "PHONE",
+      // +CC or (area) prefixed numbers, North American 425-555-0100 with
+      // the same separator throughout, or +4917012345678.  Other digit
+      // groups (amounts, room numbers, dates, IPv4 addresses) need a +.
+      pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\))?|\(\d{1,4}\))[\s.-]?\d{2,4}(?:[\s.-]?\d{2,4}){1,3}(?!\w)|(?<![\w+-]|\d\.)\d{3}([\s.-])\d{3}\1\d{4}(?![\w-]|\.\d)|(?<!\w)\+\d{8,15}(?!\w)/g,
+    },
+  ];
+
+  /**
+   * { enabled, builtIn: { upn, email, phone, guid }, custom: "rules text" }
+   * where each custom line is "pattern => replacement" or
+   * "/pattern/flags => replacement".
+   */
+  function getRedactionSettings() {
+    const saved = loadJsonSetting(REDACTION_KEY);
+    return {
+      enabled: !!saved.enabled,
+      builtIn: Object.fromEntries(BUILT_IN_REDACTIONS.map((r) => [r.id, saved.builtIn?.[r.id] !== false])),
+      custom: typeof saved.custom === "string" ? saved.custom : "",
+    };
+  }
+
+  function saveRedactionSettings(settings) {
+    localStorage.setItem(REDACTION_KEY, JSON.stringify(settings));
+  }
+
+  /**
+   * Parse the custom rules text into { label, pattern, replacement } rules.
+   * Throws with the offending line if a pattern is invalid.
+   */
+  function parseCustomRedactions(text) {
+    const rules = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim() || line.trim().startsWith("#")) continue;
+      const sep = line.lastIndexOf("=>");
+      const source = (sep === -1 ? line : line.slice(0, sep)).trim();
+      const replacement = sep === -1 ? "[REDACTED]" : line.slice(sep + 2).trim();
+      const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        const flags = literal ? literal[2].replace("g", "") : "i";
+        rules.push({
+          label: source,
+          pattern: new RegExp(literal ? literal[1] : source, flags + "g"),
+          replacement,
+        });
+      } catch (e) {
+        throw new Error(`Invalid redaction rule "${line.trim()}": ${e.message}`);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Create a redactor for one export.  redact(value) returns a deep copy of
+   * value with every string redacted (object keys are left alone), and
+   * counts tallies matches per rule label.
+   */
+  function createRedactor(settings) {
+    const rules = settings.enabled
+      ? [
+          ...BUILT_IN_REDACTIONS.filter((r) => settings.builtIn[r.id]),
+          ...parseCustomRedactions(settings.custom),
+        ]
+      : [];
+    const placeholders = new Map();
+    const placeholderCounts = {};
+    const counts = {};
+
+    function redactString(text) {
+      let result = text;
+      for (const rule of rules) {
+        if (rule.replacement !== undefined) {
+          // One pass over the whole text, so lookarounds and anchors keep
+          // their context and $1-style references work.
+          const matches = result.match(rule.pattern)?.length || 0;
+          if (matches === 0) continue;
+          counts[rule.label] = (counts[rule.label] || 0) + matches;
+          result = result.replace(rule.pattern, rule.replacement);
+          continue;
+        }
+        result = result.replace(rule.pattern, (match) => {
+          counts[rule.label] = (counts[rule.label] || 0) + 1;
+          const key = `${rule.placeholder}\u0000${match.toLowerCase()}`;
+          if (!placeholders.has(key)) {
+            placeholderCounts[rule.placeholder] = (placeholderCounts[rule.placeholder] || 0) + 1;
+            placeholders.set(key, `[${rule.placeholder}-${placeholderCounts[rule.placeholder]}]`);
+          }
+          return placeholders.get(key);
+        });
+      }
+      return result;
+    }
+
+    function redact(value) {
+      if (rules.length === 0) return value;
+      if (typeof value === "string") return redactString(value);
+      if (Array.isArray(value)) return value.map(redact);
+      if (value && typeof value === "object") {
+        const copy = {};
+        for (const [key, v] of Object.entries(value)) copy[key] = redact(v);
+        return copy;
+      }
+      return value;
+    }
+
+    return { redact, counts, active: rules.length > 0 };
+  }
+
+  function describeRedactions(counts) {
+    const entries = Object.entries(counts);
+    if (entries.length === 0) return "nothing redacted";
+    return "redacted " + entries
+      .map(([label, n]) => `${n} ${BUILT_IN_REDACTIONS.find((r) => r.label === label) ? label : `× ${label}`}`)
+      .join(", ");
+  }
+
   const SUBSTRATE_BASE = "https://substrate.office.com/m365Copilot";
   const DEFAULT_VARIANTS =
     "feature.EnableLastMessageForGetChats,feature.EnableMRUAgents,feature.EnableHasLoopPages,feature.EnableIsInputControlInGptItem";
@@ -189,10 +492,14 @@
     };
   }
 
-  function getMsalIds() {
+  function getIdentity() {
     const el = document.getElementById("identity");
     if (!el?.textContent) throw new Error("Missing #identity element in page");
-    const { objectId, tenantId } = JSON.parse(el.textContent);
+    return JSON.parse(el.textContent);
+  }
+
+  function getMsalIds() {
+    const { objectId, tenantId } = getIdentity();
     return {
       localAccountId: objectId,
       tenantId,
@@ -219,31 +526,330 @@
     return { token, ...msalIds };
   }
 
+  // ── Persistent storage (IndexedDB) ────────────────────────────────
+
+  const DB_NAME = "copilot-chat-exporter";
+  const DB_VERSION = 2;
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains("conversations")) {
+            db.createObjectStore("conversations", { keyPath: "conversationId" });
+          }
+          if (!db.objectStoreNames.contains("rawCaptures")) {
+            db.createObjectStore("rawCaptures", { autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains("meta")) {
+            db.createObjectStore("meta");
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run fn(store) in a transaction and resolve with the result of the
+   * request it returns once the transaction completes.
+   */
+  async function withStore(storeName, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function persist(storeName, value) {
+    withStore(storeName, "readwrite", (store) => store.put(value)).catch((e) => {
+      console.warn(`[Copilot Export] Failed to save to ${storeName}: ${e?.message || e}`);
+    });
+  }
+
+  function getMeta(key) {
+    return withStore("meta", "readonly", (store) => store.get(key));
+  }
+
+  function setMeta(key, value) {
+    return withStore("meta", "readwrite", (store) =>
+      value === undefined ? store.delete(key) : store.put(value, key)
+    );
+  }
+
+  /**
+   * Store a conversation in memory and in IndexedDB.
+   */
+  function saveConversation(conv) {
+    conversations.set(conv.conversationId, conv);
+    persist("conversations", conv);
+  }
+
+  /**
+   * Delete the n oldest raw captures (lowest auto-increment keys).
+   */
+  function deleteOldestStoredCaptures(n) {
+    withStore("rawCaptures", "readwrite", (store) => {
+      let remaining = n;
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || remaining-- <= 0) return;
+        cursor.delete();
+        cursor.continue();
+      };
+      return req;
+    }).catch((e) => {
+      console.warn(`[Copilot Export] Failed to evict raw captures: ${e?.message || e}`);
+    });
+  }
+
+  /**
+   * Captures saved before scrubbing was added still carry full URLs and
+   * tokens; scrub them where they are stored.
+   */
+  function scrubStoredCaptures() {
+    return withStore("rawCaptures", "readwrite", (store) => {
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        const capture = cursor.value;
+        if (!("endpoint" in capture)) {
+          cursor.update({
+            ...capture,
+            url: scrubUrl(capture.url),
+            endpoint: getEndpointName(capture.url),
+            data: scrubTokens(capture.data),
+          });
+        }
+        cursor.continue();
+      };
+      return req;
+    });
+  }
+
+  /**
+   * Reload conversations and raw captures saved by earlier sessions.
+   * Anything captured since this page loaded wins over the stored copy.
+   */
+  async function loadStoredData() {
+    await scrubStoredCaptures().catch((e) => {
+      console.warn(`[Copilot Export] Failed to scrub stored captures: ${e?.message || e}`);
+    });
+    const [storedConvs, storedCaptures] = await Promise.all([
+      withStore("conversations", "readonly", (store) => store.getAll()),
+      withStore("rawCaptures", "readonly", (store) => store.getAll()),
+    ]);
+
+    let restored = 0;
+    for (const conv of storedConvs || []) {
+      const existing = conversations.get(conv.conversationId);
+      if (!existing || (existing.messages.length === 0 && conv.messages?.length > 0)) {
+        conversations.set(conv.conversationId, conv);
+        restored++;
+      }
+    }
+    // Scrub in memory too in case scrubStoredCaptures could not write
+    rawCaptures.unshift(
+      ...(storedCaptures || []).map((c) =>
+        "endpoint" in c ? c : { ...c, url: scrubUrl(c.url), endpoint: getEndpointName(c.url), data: scrubTokens(c.data) }
+      )
+    );
+    enforceCaptureLimits();
+
+    console.log(
+      `[Copilot Export] Restored ${restored} conversations and ${storedCaptures?.length || 0} raw captures from IndexedDB`
+    );
+    updateBadge();
+    if (restored > 0) setStatus(`Restored ${restored} conversations from previous sessions`);
+  }
+
+  /**
+   * Run fn now, or once the stored data has been restored, so responses the
+   * page fetches while it loads merge with the stored copies instead of
+   * overwriting them with chat list placeholders.
+   */
+  function whenStoredDataLoaded(fn) {
+    if (storedDataLoaded) fn();
+    else deferredCaptures.push(fn);
+  }
+
+  function finishStoredDataLoad() {
+    storedDataLoaded = true;
+    for (const fn of deferredCaptures.splice(0)) {
+      try {
+        fn();
+      } catch (e) {
+        console.warn(`[Copilot Export] Failed to process a capture: ${e?.message || e}`);
+      }
+    }
+  }
+
+  async function doClearStoredData() {
+    if (!confirm("Delete all captured conversations and raw API captures stored by the exporter?")) return;
+    try {
+      await withStore("conversations", "readwrite", (store) => store.clear());
+      await withStore("rawCaptures", "readwrite", (store) => store.clear());
+      await withStore("meta", "readwrite", (store) => store.clear());
+      conversations.clear();
+      rawCaptures.length = 0;
+      pendingCheckpoint = null;
+      lastFailures = [];
+      updateBadge();
+      updateFetchControls();
+      setStatus("Stored data cleared");
+    } catch (e) {
+      setStatus(`Error: ${e.message}`);
+      console.error("[Copilot Export] Clearing stored data failed:", e);
+    }
+  }
+
+  // ── Message types ─────────────────────────────────────────────────
+
+  const MESSAGE_TYPES_KEY = "copilot-export-message-types";
+
+  /** Steps that show how an answer was grounded: searches and what they returned. */
+  const GROUNDING_MESSAGE_TYPES = ["InternalSearchQuery", "InternalSearchResult", "CrossPluginGroundingData"];
+
+  /**
+   * keepGrounding keeps GROUNDING_MESSAGE_TYPES even if listed; skipTypes
+   * is a comma-separated list, null for the default SKIP_MESSAGE_TYPES.
+   */
+  function getMessageTypeSettings() {
+    const saved = loadJsonSetting(MESSAGE_TYPES_KEY);
+    return {
+      keepGrounding: saved.keepGrounding === true,
+      skipTypes: typeof saved.skipTypes === "string" ? saved.skipTypes : null,
+    };
+  }
+
+  function saveMessageTypeSettings(settings) {
+    localStorage.setItem(MESSAGE_TYPES_KEY, JSON.stringify(settings));
+  }
+
+  function getSkippedMessageTypes(settings = getMessageTypeSettings()) {
+    const types = settings.skipTypes === null
+      ? new Set(SKIP_MESSAGE_TYPES)
+      : new Set(settings.skipTypes.split(/[\s,]+/).filter(Boolean));
+    if (settings.keepGrounding) GROUNDING_MESSAGE_TYPES.forEach((t) => types.delete(t));
+    return types;
+  }
+
+  /**
+   * Internal Copilot steps that were kept instead of skipped; they are
+   * exported as tool messages rather than as Copilot's answer.
+   */
+  function isToolMessage(msg) {
+    return msg.author === "bot" && SKIP_MESSAGE_TYPES.has(msg.messageType);
+  }
+
+  function getToolName(msg) {
+    if (msg.messageType === "InternalSearchQuery" || msg.messageType === "InternalSearchResult") return "search";
+    if (msg.messageType === "CrossPluginGroundingData") return "grounding";
+    return msg.messageType;
+  }
+
+  /**
+   * Number the attempts at each response the way buildConversationsJson
+   * branches them: a step after an answer to the same request starts a
+   * new attempt.  Returns { attempt, of } per message for requests that
+   * were answered more than once, null otherwise.
+   */
+  function getResponseAttempts(messages) {
+    const attempts = messages.map(() => null);
+    const requests = [];
+    let request = null;
+    messages.forEach((msg, i) => {
+      if (msg.author === "user" || !msg.requestId) {
+        request = null;
+        return;
+      }
+      if (msg.author !== "bot") return;
+      if (request?.requestId !== msg.requestId) {
+        request = { requestId: msg.requestId, count: 1, answered: false, steps: [] };
+        requests.push(request);
+      } else if (request.answered) {
+        request.count++;
+      }
+      request.steps.push([i, request.count]);
+      request.answered = !isToolMessage(msg);
+    });
+    for (const { count, steps } of requests) {
+      if (count > 1) for (const [i, attempt] of steps) attempts[i] = { attempt, of: count };
+    }
+    return attempts;
+  }
+
   // ── Substrate API handlers ─────────────────────────────────────────
 
-  function handleGetConversation(data) {
+  /**
+   * The Copilot agent (declarative or custom) a chat was held with, as
+   * { id, name, type }, or null for plain Copilot chats.  GetChats reports
+   * it per chat (feature.EnableMRUAgents); GetConversation on the response
+   * or its messages.
+   */
+  function getAgent(source) {
+    if (!source) return null;
+    const nested = source.gptItem || source.gpt || source.agent || {};
+    const id = source.gptId || source.agentId || nested.gptId || nested.agentId || nested.id;
+    if (!id) return null;
+    return {
+      id: String(id),
+      name: source.gptName || source.agentName || nested.displayName || nested.name || "",
+      type: source.agentType || nested.gptType || nested.agentType || nested.type || "",
+    };
+  }
+
+  /**
+   * Build a conversation record from a GetConversation response, or null
+   * if it has no visible messages.
+   */
+  function conversationFromResponse(data, skipTypes = getSkippedMessageTypes()) {
     const convId = data.conversationId;
-    if (!convId) return;
+    if (!convId) return null;
 
-    const visibleMessages = (data.messages || []).filter((m) => {
-      if (SKIP_MESSAGE_TYPES.has(m.messageType)) return false;
-      if (m.author === "system") return false;
-      if (!m.text && !m.adaptiveCards?.length) return false;
-      return true;
-    });
+    const visibleMessages = [];
+    for (const m of data.messages || []) {
+      if (skipTypes.has(m.messageType)) continue;
+      if (m.author === "system") continue;
+      const attachmentRefs = extractAttachments(m);
+      const hasContent = m.text || m.adaptiveCards?.length || attachmentRefs.length > 0;
+      if (!hasContent && !(isToolMessage(m) && getMessageText(m))) continue;
+      visibleMessages.push(attachmentRefs.length > 0 ? { ...m, attachmentRefs } : m);
+    }
 
-    if (visibleMessages.length === 0) return;
+    if (visibleMessages.length === 0) return null;
 
-    conversations.set(convId, {
+    const agent = getAgent(data) || (data.messages || []).map(getAgent).find(Boolean);
+    return {
       conversationId: convId,
       chatName: data.chatName || "",
       createTimeUtc: data.createTimeUtc,
       updateTimeUtc: data.updateTimeUtc,
       tone: data.tone || "",
       isLegacyWebChat: data.isLegacyWebChat || false,
+      syncedUpdateTimeUtc: data.updateTimeUtc,
       messages: visibleMessages,
-    });
+      ...(agent ? { agent } : {}),
+    };
+  }
 
+  function handleGetConversation(data) {
+    const conv = conversationFromResponse(data);
+    if (!conv) return;
+    // Keep the agent GetChats reported if the conversation does not name it.
+    const known = conversations.get(conv.conversationId)?.agent;
+    saveConversation(known && !conv.agent ? { ...conv, agent: known } : conv);
     updateBadge();
   }
 
@@ -252,8 +858,29 @@
     for (const chat of chats) {
       const convId = chat.conversationId;
       if (!convId) continue;
-      if (!conversations.has(convId)) {
-        conversations.set(convId, {
+      const existing = conversations.get(convId);
+      if (existing) {
+        const chatName = chat.chatName || existing.chatName;
+        const updateTimeUtc = chat.updateTimeUtc ?? existing.updateTimeUtc;
+        const agent = getAgent(chat) || existing.agent;
+        if (
+          chatName === existing.chatName &&
+          updateTimeUtc === existing.updateTimeUtc &&
+          agent?.id === existing.agent?.id
+        ) continue;
+        saveConversation({
+          ...existing,
+          chatName,
+          updateTimeUtc,
+          ...(agent ? { agent } : {}),
+          // Records saved before incremental sync only know the update
+          // time of the content they hold through updateTimeUtc.
+          syncedUpdateTimeUtc: existing.syncedUpdateTimeUtc ??
+            (existing.messages.length > 0 ? existing.updateTimeUtc : undefined),
+        });
+      } else {
+        const agent = getAgent(chat);
+        saveConversation({
           conversationId: convId,
           chatName: chat.chatName || "",
           createTimeUtc: chat.createTimeUtc,
@@ -261,6 +888,7 @@
           tone: chat.tone || "",
           isLegacyWebChat: chat.isLegacyWebChat || false,
           messages: [],
+          ...(agent ? { agent } : {}),
         });
       }
     }
@@ -273,111 +901,484 @@
 
   // ── Passive response interceptors (for badge + raw export) ────────
 
-  const originalFetch = window.fetch;
-
-  window.fetch = async function (...args) {
-    const url = typeof args[0] === "string" ? args[0] : args[0]?.url || "";
-    const response = await originalFetch.apply(this, args);
-
-    if (!url.includes("substrate.office.com") && !url.includes("m365.cloud.microsoft")) {
-      return response;
-    }
-
-    const clone = response.clone();
-    clone.text().then((text) => {
-      if (!text || text.length < 20) return;
-      try {
-        const json = JSON.parse(text);
-        rawCaptures.push({
-          url: url.substring(0, 500),
-          status: response.status,
-          timestamp: new Date().toISOString(),
-          byteLength: text.length,
-          data: json,
-        });
-        if (url.includes("GetConversation")) handleGetConversation(json);
-        else if (url.includes("GetChats")) handleGetChats(json);
-      } catch { /* not JSON */ }
-    }).catch(() => {});
-
-    return response;
-  };
+  const RAW_CAPTURE_KEY = "copilot-export-raw-capture";
+  const SCRUBBED = "[scrubbed]";
+  const TOKEN_KEY_PATTERN = /token|secret|password|passwd|authorization|cookie|signature|apikey|api_key|credential/i;
+  const TOKEN_VALUE_PATTERN = /^(?:Bearer\s+\S+|eyJ[\w-]+\.[\w-]+\.[\w-]*)$/;
 
-  const origXHROpen = XMLHttpRequest.prototype.open;
-  const origXHRSend = XMLHttpRequest.prototype.send;
+  /**
+   * { maxCount, maxMB, endpoints } where endpoints is a comma-separated
+   * list of endpoint names to keep (empty keeps all).
+   */
+  function getRawCaptureSettings() {
+    const saved = loadJsonSetting(RAW_CAPTURE_KEY);
+    return {
+      maxCount: saved.maxCount > 0 ? saved.maxCount : 1000,
+      maxMB: saved.maxMB > 0 ? saved.maxMB : 50,
+      endpoints: typeof saved.endpoints === "string" ? saved.endpoints : "",
+    };
+  }
 
-  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
-    this._captureUrl = url;
-    return origXHROpen.call(this, method, url, ...rest);
-  };
+  function saveRawCaptureSettings(settings) {
+    localStorage.setItem(RAW_CAPTURE_KEY, JSON.stringify(settings));
+  }
 
-  XMLHttpRequest.prototype.send = function (...args) {
-    this.addEventListener("load", function () {
-      const url = this._captureUrl || "";
-      if (!url.includes("substrate.office.com") && !url.includes("m365.cloud.microsoft")) return;
-      try {
-        const json = JSON.parse(this.responseText);
-        rawCaptures.push({
-          url: url.substring(0, 500),
-          status: this.status,
-          timestamp: new Date().toISOString(),
-          byteLength: this.responseText.length,
-          data: json,
-        });
-        if (url.includes("GetConversation")) handleGetConversation(json);
-        else if (url.includes("GetChats")) handleGetChats(json);
-      } catch { /* not JSON */ }
-    });
-    return origXHRSend.apply(this, args);
-  };
+  function getEndpointName(url) {
+    try {
+      return new URL(url, location.href).pathname.split("/").filter(Boolean).pop() || "";
+    } catch {
+      return "";
+    }
+  }
 
-  // ── Fetch All automation ──────────────────────────────────────────
+  /**
+   * Keep origin, path and parameter names but drop every query value; they
+   * carry full request payloads and occasionally tokens.
+   */
+  function scrubUrl(url) {
+    try {
+      const parsed = new URL(url, location.href);
+      const names = Array.from(new Set(parsed.searchParams.keys()));
+      const query = names.map((name) => `${encodeURIComponent(name)}=${SCRUBBED}`).join("&");
+      return `${parsed.origin}${parsed.pathname}${query ? `?${query}` : ""}`;
+    } catch {
+      return url.split(/[?#]/)[0].substring(0, 500);
+    }
+  }
 
-  function sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  /**
+   * Deep copy of a response with token-like fields (by key name, or values
+   * that look like bearer tokens/JWTs) replaced.
+   */
+  function scrubTokens(value) {
+    if (typeof value === "string") return TOKEN_VALUE_PATTERN.test(value) ? SCRUBBED : value;
+    if (Array.isArray(value)) return value.map(scrubTokens);
+    if (value && typeof value === "object") {
+      const copy = {};
+      for (const [key, v] of Object.entries(value)) {
+        copy[key] = typeof v === "string" && TOKEN_KEY_PATTERN.test(key) ? SCRUBBED : scrubTokens(v);
+      }
+      return copy;
+    }
+    return value;
   }
 
-  function setStatus(text) {
-    const el = document.getElementById("copilot-export-status");
-    if (el) el.textContent = text;
+  function shouldKeepCapture(endpoint, settings) {
+    const wanted = settings.endpoints.split(",").map((e) => e.trim().toLowerCase()).filter(Boolean);
+    return wanted.length === 0 || wanted.includes(endpoint.toLowerCase());
   }
 
   /**
-   * Call a Substrate endpoint with proper auth headers.
+   * Evict the oldest captures until both the count and size caps hold,
+   * in memory and in IndexedDB.
    */
-  async function substrateGet(auth, endpoint, params, includeVariants) {
-    const requestJson = JSON.stringify(params);
-    const variantsSuffix = includeVariants
-      ? `&variants=${encodeURIComponent(DEFAULT_VARIANTS)}`
-      : "";
-    const url = `${SUBSTRATE_BASE}/${endpoint}?request=${encodeURIComponent(requestJson)}${variantsSuffix}`;
-
-    const headers = {
-      authorization: `Bearer ${auth.token}`,
-      "content-type": "application/json",
-      "x-anchormailbox": `Oid:${auth.localAccountId}@${auth.tenantId}`,
-      "x-clientrequestid": crypto.randomUUID().replace(/-/g, ""),
-      "x-routingparameter-sessionkey": auth.localAccountId,
-      "x-scenario": "OfficeWebIncludedCopilot",
-    };
+  function enforceCaptureLimits(settings = getRawCaptureSettings()) {
+    const maxBytes = settings.maxMB * 1024 * 1024;
+    let bytes = rawCaptures.reduce((sum, c) => sum + (c.byteLength || 0), 0);
+    let evict = 0;
+    while (evict < rawCaptures.length && (rawCaptures.length - evict > settings.maxCount || bytes > maxBytes)) {
+      bytes -= rawCaptures[evict].byteLength || 0;
+      evict++;
+    }
+    if (evict === 0) return;
+    rawCaptures.splice(0, evict);
+    deleteOldestStoredCaptures(evict);
+  }
 
-    const resp = await fetch(url, { method: "GET", headers });
+  function recordCapture(url, status, text, json) {
+    const settings = getRawCaptureSettings();
+    const endpoint = getEndpointName(url);
 
-    if (!resp.ok) {
-      throw new Error(`${endpoint} returned ${resp.status}`);
+    if (shouldKeepCapture(endpoint, settings)) {
+      const capture = {
+        url: scrubUrl(url),
+        endpoint,
+        status,
+        timestamp: new Date().toISOString(),
+        byteLength: text.length,
+        data: scrubTokens(json),
+      };
+      rawCaptures.push(capture);
+      persist("rawCaptures", capture);
+      enforceCaptureLimits(settings);
     }
-    return resp.json();
+
+    if (url.includes("GetConversation")) whenStoredDataLoaded(() => handleGetConversation(json));
+    else if (url.includes("GetChats")) whenStoredDataLoaded(() => handleGetChats(json));
   }
 
   /**
-   * Fetch all chat IDs by paginating through GetChats.
+   * Summary of a set of captures for the raw export.
    */
-  async function fetchAllChatIds(auth) {
-    const allChats = [];
-    let syncState = null;
-    let page = 0;
+  function buildCaptureManifest(captures) {
+    const endpoints = {};
+    const conversationIds = new Set();
+    for (const capture of captures) {
+      const name = capture.endpoint || getEndpointName(capture.url) || "unknown";
+      endpoints[name] ??= { count: 0, bytes: 0 };
+      endpoints[name].count++;
+      endpoints[name].bytes += capture.byteLength || 0;
+      if (capture.data?.conversationId) conversationIds.add(capture.data.conversationId);
+    }
+    const timestamps = captures.map((c) => c.timestamp).filter(Boolean).sort();
+    const settings = getRawCaptureSettings();
+    return {
+      exportedAt: new Date().toISOString(),
+      exporter: "M365 Copilot Chat Exporter",
+      exporterVersion: typeof GM_info !== "undefined" ? GM_info.script?.version || null : null,
+      captureCount: captures.length,
+      totalBytes: captures.reduce((sum, c) => sum + (c.byteLength || 0), 0),
+      firstCapture: timestamps[0] || null,
+      lastCapture: timestamps[timestamps.length - 1] || null,
+      conversationCount: conversationIds.size,
+      endpoints,
+      captureSettings: settings,
+    };
+  }
+
+  /**
+   * Wrap fetch and XMLHttpRequest so Substrate responses the page makes
+   * itself are captured too.
+   */
+  function installInterceptors() {
+    pageFetch = window.fetch;
+
+    window.fetch = async function (...args) {
+      const url = typeof args[0] === "string" ? args[0] : args[0]?.url || "";
+      const response = await pageFetch.apply(this, args);
+
+      if (!url.includes("substrate.office.com") && !url.includes("m365.cloud.microsoft")) {
+        return response;
+      }
+
+      const clone = response.clone();
+      clone.text().then((text) => {
+        if (!text || text.length < 20) return;
+        try {
+          recordCapture(url, response.status, text, JSON.parse(text));
+        } catch { /* not JSON */ }
+      }).catch(() => {});
+
+      return response;
+    };
+
+    const origXHROpen = XMLHttpRequest.prototype.open;
+    const origXHRSend = XMLHttpRequest.prototype.send;
+
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+      this._captureUrl = url;
+      return origXHROpen.call(this, method, url, ...rest);
+    };
+
+    XMLHttpRequest.prototype.send = function (...args) {
+      this.addEventListener("load", function () {
+        const url = this._captureUrl || "";
+        if (!url.includes("substrate.office.com") && !url.includes("m365.cloud.microsoft")) return;
+        try {
+          recordCapture(url, this.status, this.responseText, JSON.parse(this.responseText));
+        } catch { /* not JSON */ }
+      });
+      return origXHRSend.apply(this, args);
+    };
+
+    installChatSocketInterceptor();
+  }
+
+  // ── Live chat capture (WebSocket) ─────────────────────────────────
+
+  // SignalR JSON protocol: each frame is a JSON object ending in 0x1E.
+  const SIGNALR_SEPARATOR = "\x1e";
+  const LOCAL_USER_KEY = "local:user";
+
+  function isChatHubUrl(url) {
+    return /substrate\.office\.com|m365\.cloud\.microsoft/.test(url) && /chathub/i.test(url);
+  }
+
+  function parseSignalRFrames(data) {
+    if (typeof data !== "string") return [];
+    const frames = [];
+    for (const part of data.split(SIGNALR_SEPARATOR)) {
+      if (!part.trim()) continue;
+      try { frames.push(JSON.parse(part)); } catch { /* not a JSON frame */ }
+    }
+    return frames;
+  }
+
+  /**
+   * Merge the messages of a streamed turn into the stored conversation,
+   * replacing messages with the same messageId.
+   */
+  function mergeStreamedMessages(conversationId, streamed) {
+    const existing = conversations.get(conversationId);
+    const messages = [...(existing?.messages || [])];
+    for (const msg of streamed) {
+      const i = msg.messageId ? messages.findIndex((m) => m.messageId === msg.messageId) : -1;
+      if (i >= 0) messages[i] = msg;
+      else messages.push(msg);
+    }
+
+    const conv = conversationFromResponse({
+      conversationId,
+      chatName: existing?.chatName || "",
+      createTimeUtc: existing?.createTimeUtc ?? Date.now(),
+      updateTimeUtc: Date.now(),
+      tone: existing?.tone || "",
+      isLegacyWebChat: existing?.isLegacyWebChat || false,
+      messages,
+    });
+    if (!conv) return;
+
+    saveConversation({
+      ...conv,
+      // A streamed turn is not the server's full copy.  A chat first seen
+      // here gets 0, which getSyncState treats as stale, so the next
+      // Fetch All refetches the conversation.
+      syncedUpdateTimeUtc: existing?.syncedUpdateTimeUtc ?? 0,
+      ...(existing?.agent && !conv.agent ? { agent: existing.agent } : {}),
+    });
+    updateBadge();
+    console.log(`[Copilot Export] Live capture: ${streamed.length} messages in ${conversationId}`);
+  }
+
+  /**
+   * Follow one chat hub connection.  The user's message comes from the
+   * outgoing invocation; bot messages from "update" frames (each carries
+   * the message so far) and the final stream item, keyed by messageId.
+   * The turn is merged once the invocation completes.
+   */
+  function watchChatSocket(socket) {
+    let turn = null;
+
+    const collect = (payload) => {
+      if (!payload || typeof payload !== "object") return;
+      turn ||= { conversationId: null, messages: new Map() };
+      turn.conversationId ||= payload.conversationId || null;
+      for (const msg of payload.messages || []) {
+        if (!msg?.messageId) continue;
+        // The server's copy of the user message replaces the one we sent.
+        if (msg.author === "user") turn.messages.delete(LOCAL_USER_KEY);
+        turn.messages.set(msg.messageId, { ...turn.messages.get(msg.messageId), ...msg });
+      }
+    };
+
+    const finish = () => {
+      if (turn?.conversationId && turn.messages.size > 0) {
+        const { conversationId } = turn;
+        const messages = Array.from(turn.messages.values());
+        whenStoredDataLoaded(() =>
+          mergeStreamedMessages(conversationId, [
+            ...messages.filter((m) => m.author === "user"),
+            ...messages.filter((m) => m.author !== "user"),
+          ])
+        );
+      }
+      turn = null;
+    };
+
+    socket.addEventListener("message", (event) => {
+      for (const frame of parseSignalRFrames(event.data)) {
+        if (frame.type === 1 && frame.target === "update") {
+          (frame.arguments || []).forEach(collect);
+        } else if (frame.type === 2) {
+          collect(frame.item);
+          finish();
+        } else if (frame.type === 3) {
+          finish();
+        }
+      }
+    });
+    socket.addEventListener("close", finish);
+
+    return (data) => {
+      for (const frame of parseSignalRFrames(data)) {
+        const args = frame.arguments?.[0];
+        if ((frame.type !== 1 && frame.type !== 4) || !args?.message) continue;
+        finish();
+        turn = { conversationId: args.conversationId || null, messages: new Map() };
+        turn.messages.set(args.message.messageId || LOCAL_USER_KEY, {
+          ...args.message,
+          author: "user",
+          requestId: args.message.requestId || args.requestId || "",
+          createdAt: args.message.timestamp || new Date().toISOString(),
+        });
+      }
+    };
+  }
+
+  function installChatSocketInterceptor() {
+    const OriginalWebSocket = window.WebSocket;
+    if (!OriginalWebSocket) return;
+
+    window.WebSocket = class extends OriginalWebSocket {
+      constructor(url, protocols) {
+        super(url, protocols);
+        this._chatHubSend = isChatHubUrl(String(url)) ? watchChatSocket(this) : null;
+      }
+
+      send(data) {
+        try {
+          this._chatHubSend?.(data);
+        } catch (e) {
+          console.warn(`[Copilot Export] Could not read outgoing chat frame: ${e.message}`);
+        }
+        return super.send(data);
+      }
+    };
+  }
+
+  // ── Settings ──────────────────────────────────────────────────────
+
+  const SETTINGS_KEY = "copilot-export-settings";
+  const DATE_PRESETS = ["all", "today", "week", "month", "year"];
+  const DEFAULT_FILENAME_TEMPLATE = "copilot_{type}_{date}";
+
+  /**
+   * pageSize is the GetChats page size, requestDelayMs the pause between
+   * chat list pages and the starting spacing between conversation
+   * requests.  datePreset is selected when the panel opens;
+   * filenameTemplate names every download (see buildFilename).
+   */
+  function getSettings() {
+    const saved = loadJsonSetting(SETTINGS_KEY);
+    return {
+      pageSize: saved.pageSize >= 1 && saved.pageSize <= 200 ? saved.pageSize : 50,
+      requestDelayMs: saved.requestDelayMs >= 0 && saved.requestDelayMs <= 10000 ? saved.requestDelayMs : 500,
+      datePreset: DATE_PRESETS.includes(saved.datePreset) ? saved.datePreset : "all",
+      filenameTemplate:
+        typeof saved.filenameTemplate === "string" && saved.filenameTemplate.trim()
+          ? saved.filenameTemplate
+          : DEFAULT_FILENAME_TEMPLATE,
+      prettyJson: saved.prettyJson !== false,
+    };
+  }
+
+  function saveSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }
+
+  // ── Fetch All automation ──────────────────────────────────────────
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  function setStatus(text) {
+    const el = document.getElementById("copilot-export-status");
+    if (el) el.textContent = text;
+  }
+
+  const MAX_RETRIES = 5;
+  const RETRY_BASE_DELAY_MS = 1000;
+  const RETRY_MAX_DELAY_MS = 60000;
+  const RETRY_AFTER_CAP_MS = 300000;
+
+  function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Exponential backoff with jitter: a random delay between half and all
+   * of base * 2^attempt, capped at RETRY_MAX_DELAY_MS.
+   */
+  function backoffDelay(attempt) {
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Parse a Retry-After header (delay in seconds or an HTTP date) into
+   * milliseconds, or null if absent/invalid.
+   */
+  function retryAfterMs(resp) {
+    const value = resp.headers.get("retry-after");
+    if (!value) return null;
+    const seconds = Number(value);
+    const ms = isNaN(seconds) ? new Date(value).getTime() - Date.now() : seconds * 1000;
+    if (isNaN(ms)) return null;
+    return Math.min(Math.max(ms, 0), RETRY_AFTER_CAP_MS);
+  }
+
+  /**
+   * Call a Substrate endpoint with proper auth headers.
+   *
+   * Retries 408/429/5xx responses and network errors with backoff (honoring
+   * Retry-After), and on 401 re-reads the MSAL token, which the page
+   * refreshes in the background, before retrying.  The refreshed token is
+   * written back into `auth` so later calls use it too.  onRetry(status),
+   * if given, is told about every retried response (status 0 for network
+   * errors) so callers can slow down.
+   */
+  async function substrateGet(auth, endpoint, params, includeVariants, onRetry) {
+    const requestJson = JSON.stringify(params);
+    const variantsSuffix = includeVariants
+      ? `&variants=${encodeURIComponent(DEFAULT_VARIANTS)}`
+      : "";
+    const url = `${SUBSTRATE_BASE}/${endpoint}?request=${encodeURIComponent(requestJson)}${variantsSuffix}`;
+
+    for (let attempt = 0; ; attempt++) {
+      const headers = {
+        authorization: `Bearer ${auth.token}`,
+        "content-type": "application/json",
+        "x-anchormailbox": `Oid:${auth.localAccountId}@${auth.tenantId}`,
+        "x-clientrequestid": crypto.randomUUID().replace(/-/g, ""),
+        "x-routingparameter-sessionkey": auth.localAccountId,
+        "x-scenario": "OfficeWebIncludedCopilot",
+      };
+
+      let resp;
+      try {
+        resp = await fetch(url, { method: "GET", headers });
+      } catch (e) {
+        if (attempt >= MAX_RETRIES) throw new Error(`${endpoint} network error: ${e.message}`);
+        const delay = backoffDelay(attempt);
+        onRetry?.(0);
+        console.warn(`[Copilot Export] ${endpoint} network error (${e.message}), retrying in ${delay} ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (resp.ok) return resp.json();
+
+      if (resp.status === 401 && attempt < MAX_RETRIES) {
+        const previousToken = auth.token;
+        Object.assign(auth, await getTokenAndIds());
+        if (auth.token === previousToken) {
+          // MSAL has not refreshed the token yet; give it time.
+          const delay = backoffDelay(attempt);
+          console.warn(`[Copilot Export] ${endpoint} returned 401, waiting ${delay} ms for token refresh`);
+          await sleep(delay);
+        } else {
+          console.log("[Copilot Export] Picked up refreshed auth token");
+        }
+        continue;
+      }
+
+      if (isRetryableStatus(resp.status) && attempt < MAX_RETRIES) {
+        const delay = retryAfterMs(resp) ?? backoffDelay(attempt);
+        onRetry?.(resp.status);
+        console.warn(`[Copilot Export] ${endpoint} returned ${resp.status}, retrying in ${delay} ms`);
+        if (resp.status === 429) setStatus(`Throttled by ${endpoint}, waiting ${Math.ceil(delay / 1000)} s...`);
+        await sleep(delay);
+        continue;
+      }
+
+      const error = new Error(`${endpoint} returned ${resp.status}`);
+      error.status = resp.status;
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch all chat IDs by paginating through GetChats, continuing from the
+   * checkpoint's syncState and saving it after every page.  Returns null if
+   * the run was cancelled.
+   */
+  async function fetchAllChatIds(auth, checkpoint) {
+    const allChats = checkpoint.chats;
+    let page = checkpoint.page;
 
     while (true) {
+      if (await waitWhilePaused()) return null;
       page++;
       setStatus(`Fetching chat list page ${page}...`);
 
@@ -385,303 +1386,2842 @@
         source: "officeweb",
         traceId: crypto.randomUUID(),
         threadType: "bizchat",
-        MaxReturnedChatsCount: 50,
+        MaxReturnedChatsCount: getSettings().pageSize,
         mergeWorkWebChats: true,
         includeChatsWithHarmfulContentProtectionDisabled: true,
       };
-      if (syncState) {
-        params.syncState = syncState;
+      if (checkpoint.syncState) {
+        params.syncState = checkpoint.syncState;
       }
 
       const data = await substrateGet(auth, "GetChats", params, true);
       const chats = data.chats || [];
-      allChats.push(...chats);
+      allChats.push(...chats.map(toChatRef));
       handleGetChats(data);
 
       console.log(
         `[Copilot Export] GetChats page ${page}: ${chats.length} chats (${allChats.length} total)`
       );
 
-      syncState = data.syncState || null;
-      if (chats.length === 0 || !syncState) break;
+      checkpoint.page = page;
+      checkpoint.syncState = data.syncState || null;
+      await saveCheckpoint(checkpoint);
+      if (chats.length === 0 || !checkpoint.syncState) break;
 
-      await sleep(500);
+      await sleep(getSettings().requestDelayMs);
     }
 
     return allChats;
   }
 
+  /**
+   * Classify a chat from GetChats against the stored copy:
+   * "new" (never fetched), "updated" (changed since its content was
+   * fetched) or "unchanged".  A fetched chat with no visible messages
+   * keeps its sync time, so it is not new again on the next run.
+   */
+  function getSyncState(chat) {
+    const existing = conversations.get(chat.conversationId);
+    if (!existing) return "new";
+    if (existing.syncedUpdateTimeUtc == null && existing.messages.length === 0) return "new";
+    if (existing.syncedUpdateTimeUtc === 0) return "updated";
+    const listed = toUnixSeconds(chat.updateTimeUtc);
+    const synced = toUnixSeconds(existing.syncedUpdateTimeUtc);
+    if (!listed || !synced) return "unchanged";
+    return listed > synced ? "updated" : "unchanged";
+  }
+
+  /**
+   * Record that a conversation's content is current as of the chat list's
+   * updateTimeUtc, which can be later than the one GetConversation reports.
+   */
+  function markSynced(chat) {
+    const conv = conversations.get(chat.conversationId);
+    if (!conv) return;
+    const synced = toUnixSeconds(conv.syncedUpdateTimeUtc);
+    if (synced && (toUnixSeconds(chat.updateTimeUtc) || 0) <= synced) return;
+    saveConversation({ ...conv, syncedUpdateTimeUtc: chat.updateTimeUtc || Date.now() });
+  }
+
   /**
    * Fetch full conversation content for a single chat.
    */
-  async function fetchConversation(auth, conversationId) {
+  async function fetchConversation(auth, conversationId, onRetry) {
     const data = await substrateGet(auth, "GetConversation", {
       conversationId,
       source: "officeweb",
       traceId: crypto.randomUUID().replace(/-/g, ""),
-    }, false);
+    }, false, onRetry);
     handleGetConversation(data);
     return data;
   }
 
   /**
-   * Main "Fetch All" workflow.
+   * Summarize failed fetches for the status line, e.g.
+   * "3× GetConversation returned 429, 1× GetConversation returned 500".
+   */
+  function describeFailures(failures) {
+    const byReason = new Map();
+    for (const f of failures) byReason.set(f.reason, (byReason.get(f.reason) || 0) + 1);
+    return Array.from(byReason, ([reason, n]) => `${n}× ${reason}`).join(", ") + " — see console for IDs";
+  }
+
+  /**
+   * Main "Fetch All" workflow: list every chat, then fetch the ones that
+   * are new or updated.
+   */
+  function doFetchAll() {
+    return runFetch(newCheckpoint("list"));
+  }
+
+  async function doResumeFetch() {
+    const checkpoint = pendingCheckpoint || (await getMeta(CHECKPOINT_KEY));
+    if (!checkpoint) {
+      updateFetchControls();
+      return;
+    }
+    return runFetch(checkpoint);
+  }
+
+  function doRetryFailed() {
+    if (lastFailures.length === 0) return;
+    const checkpoint = newCheckpoint("fetch");
+    checkpoint.queue = lastFailures.map(toChatRef);
+    checkpoint.summary = `${lastFailures.length} retried`;
+    return runFetch(checkpoint);
+  }
+
+  function doTogglePause() {
+    fetchControl.paused = !fetchControl.paused;
+    if (fetchControl.paused) setStatus("Paused — progress is saved, Resume continues even after a reload");
+    updateFetchControls();
+  }
+
+  function doCancelFetch() {
+    fetchControl.cancelled = true;
+    fetchControl.paused = false;
+    setStatus("Cancelling...");
+    updateFetchControls();
+  }
+
+  /**
+   * Run (or resume) a fetch.  Resolves to the finished checkpoint, or to
+   * undefined if it was cancelled or failed.
    */
-  async function doFetchAll() {
+  async function runFetch(checkpoint) {
     if (isFetchingAll) return;
     isFetchingAll = true;
-    const btn = document.getElementById("copilot-btn-fetchall");
-    if (btn) { btn.disabled = true; btn.textContent = "Fetching..."; }
+    fetchControl.paused = false;
+    fetchControl.cancelled = false;
+    pendingCheckpoint = checkpoint;
+    updateFetchControls();
 
     try {
+      // Chat list results must merge with the stored copies, not replace them
+      while (!storedDataLoaded) await sleep(100);
       setStatus("Acquiring auth token...");
       const auth = await getTokenAndIds();
       console.log(`[Copilot Export] Auth acquired for ${auth.localAccountId}`);
 
-      // Step 1: Get all chat IDs
-      const allChats = await fetchAllChatIds(auth);
-      console.log(`[Copilot Export] Found ${allChats.length} total conversations`);
+      if (checkpoint.phase === "list") {
+        // Step 1: Get all chat IDs
+        const allChats = await fetchAllChatIds(auth, checkpoint);
+        if (!allChats) {
+          await finishCancelled(checkpoint);
+          return;
+        }
+        console.log(`[Copilot Export] Found ${allChats.length} total conversations`);
 
-      // Step 1b: Apply date range filter
-      const range = getDateRange();
-      const filteredChats = range
-        ? allChats.filter((c) => isInDateRange(c, range))
-        : allChats;
+        // Step 1b: Apply the metadata part of the filter and the conversation
+        // selection; keyword and message counts need content, so they only
+        // narrow the exports.  Scheduled backups skip this and cover every
+        // conversation.
+        const filter = checkpoint.unfiltered ? null : getActiveFilter();
+        const filteredChats = filter
+          ? allChats.filter((c) => matchesMetadataFilter(c, filter) && isSelected(c.conversationId))
+          : allChats;
 
-      if (range) {
-        console.log(`[Copilot Export] Date filter: ${filteredChats.length}/${allChats.length} conversations in range`);
-        setStatus(`${filteredChats.length} of ${allChats.length} conversations match date filter`);
-        await sleep(800);
-      }
+        if (filter && (isFilterActive(filter) || selectedIds.size > 0)) {
+          const description = `${describeFilter(filter)}${selectedIds.size > 0 ? ` · ${selectedIds.size} selected` : ""}`;
+          console.log(`[Copilot Export] ${description}: ${filteredChats.length}/${allChats.length} conversations match`);
+          setStatus(`${filteredChats.length} of ${allChats.length} conversations match — ${description}`);
+          await sleep(800);
+        }
 
-      // Step 2: Fetch each conversation that we don't already have messages for
-      const toFetch = filteredChats.filter((c) => {
-        const existing = conversations.get(c.conversationId);
-        return !existing || existing.messages.length === 0;
-      });
+        // Step 1c: Keep conversations that are new or updated since their last fetch
+        const counts = { new: 0, updated: 0, unchanged: 0 };
+        checkpoint.queue = filteredChats.filter((c) => {
+          const state = getSyncState(c);
+          counts[state]++;
+          return state !== "unchanged";
+        });
+        checkpoint.summary = `${counts.new} new, ${counts.updated} updated, ${counts.unchanged} unchanged`;
+        checkpoint.phase = "fetch";
+        checkpoint.chats = [];
+        await saveCheckpoint(checkpoint);
 
-      console.log(`[Copilot Export] Need to fetch ${toFetch.length} conversations (${filteredChats.length - toFetch.length} already loaded)`);
+        console.log(`[Copilot Export] Need to fetch ${checkpoint.queue.length} conversations (${checkpoint.summary})`);
+      }
 
-      let fetched = 0;
-      let errors = 0;
+      // Step 2: Fetch queued conversations not done in an earlier session,
+      // several at a time
+      const done = new Set(checkpoint.done);
+      const total = checkpoint.queue.length;
+      const remaining = checkpoint.queue.filter((c) => !done.has(c.conversationId));
+      const limiter = createRateLimiter(getConcurrency(), getSettings().requestDelayMs);
+      const startedAt = Date.now();
+      let completed = 0;
 
-      for (const chat of toFetch) {
-        fetched++;
-        setStatus(`Fetching ${fetched}/${toFetch.length}: ${(chat.chatName || "").substring(0, 40)}...`);
+      await runPool(remaining, limiter, async (chat) => {
+        setStatus(
+          `Fetching ${done.size + 1}/${total}: ${(chat.chatName || "").substring(0, 40)}...` +
+            describeProgress(completed, remaining.length - completed, startedAt, limiter)
+        );
 
+        const started = Date.now();
+        let retried = false;
         try {
-          await fetchConversation(auth, chat.conversationId);
+          await fetchConversation(auth, chat.conversationId, () => {
+            retried = true;
+            limiter.onRetry();
+          });
+          // The time of a retried request includes the backoff, which
+          // onRetry has already accounted for.
+          if (!retried) limiter.onSuccess(Date.now() - started);
+          markSynced(chat);
         } catch (e) {
-          errors++;
+          checkpoint.failures.push({ ...chat, reason: e.message });
           console.warn(`[Copilot Export] Failed to fetch ${chat.conversationId}: ${e.message}`);
         }
 
-        await sleep(500);
+        completed++;
+        done.add(chat.conversationId);
+        checkpoint.done.push(chat.conversationId);
+        await saveCheckpoint(checkpoint);
         updateBadge();
+      });
+
+      if (fetchControl.cancelled) {
+        await finishCancelled(checkpoint);
+        return;
       }
 
+      const failures = checkpoint.failures;
+      lastFailures = failures;
+      pendingCheckpoint = null;
+      await setMeta(FAILURES_KEY, failures);
+      await setMeta(CHECKPOINT_KEY, undefined);
+
       const withMessages = Array.from(conversations.values()).filter(
         (c) => c.messages && c.messages.length > 0
       );
       setStatus(
-        `Done! ${withMessages.length} conversations loaded` +
-          (errors > 0 ? ` (${errors} errors)` : "")
+        `Done! ${withMessages.length} conversations loaded — ${checkpoint.summary}` +
+          (failures.length > 0 ? ` (${failures.length} failed: ${describeFailures(failures)})` : "")
       );
+      if (failures.length > 0) {
+        console.warn(`[Copilot Export] ${failures.length} conversations could not be fetched:`);
+        console.table(failures.map(({ conversationId, chatName, reason }) => ({ conversationId, chatName, reason })));
+      }
+      return checkpoint;
     } catch (e) {
-      setStatus(`Error: ${e.message}`);
+      setStatus(`Error: ${e.message}` + (pendingCheckpoint ? " — progress saved, use Resume to continue" : ""));
       console.error("[Copilot Export] Fetch all failed:", e);
     } finally {
       isFetchingAll = false;
-      if (btn) { btn.disabled = false; btn.textContent = "Fetch All Conversations"; }
+      fetchControl.paused = false;
+      updateFetchControls();
     }
   }
 
-  // ── ChatGPT format converter ──────────────────────────────────────
-
-  function toUnixSeconds(ts) {
-    if (!ts) return null;
-    if (typeof ts === "number") return ts > 1e12 ? ts / 1000 : ts;
-    try { return new Date(ts).getTime() / 1000; } catch { return null; }
+  async function finishCancelled(checkpoint) {
+    pendingCheckpoint = null;
+    await setMeta(CHECKPOINT_KEY, undefined);
+    setStatus(
+      checkpoint.phase === "fetch"
+        ? `Cancelled after ${checkpoint.done.length}/${checkpoint.queue.length} conversations`
+        : "Cancelled"
+    );
+    updateBadge();
   }
 
-  function buildConversationsJson(range) {
-    const output = [];
+  // ── Concurrent fetching ───────────────────────────────────────────
 
-    for (const [convId, conv] of conversations) {
-      if (!conv.messages || conv.messages.length === 0) continue;
-      if (!isInDateRange(conv, range)) continue;
+  const CONCURRENCY_KEY = "copilot-export-concurrency";
+  const DEFAULT_CONCURRENCY = 3;
+  const MAX_CONCURRENCY = 8;
 
-      const firstTs =
-        toUnixSeconds(conv.createTimeUtc) ||
-        toUnixSeconds(conv.messages[0]?.createdAt);
-      const lastTs =
-        toUnixSeconds(conv.updateTimeUtc) ||
-        toUnixSeconds(conv.messages[conv.messages.length - 1]?.createdAt);
+  function getConcurrency() {
+    const n = parseInt(localStorage.getItem(CONCURRENCY_KEY), 10);
+    return n >= 1 && n <= MAX_CONCURRENCY ? n : DEFAULT_CONCURRENCY;
+  }
 
-      const mapping = {};
+  /**
+   * Adaptive limiter for concurrent requests (additive increase,
+   * multiplicative decrease).  Starts at one request in flight and grows
+   * toward maxConcurrency while responses are healthy; a retried response
+   * (429, 5xx, network error) halves the limit and doubles the spacing
+   * between request starts, and latency well above the recent baseline
+   * shrinks the limit by one.  The baseline follows drops in latency at
+   * once and rises slowly, and restarts from the current latency after a
+   * decrease, so an early fast response does not hold the limit down.
+   */
+  function createRateLimiter(maxConcurrency, initialSpacing = 500) {
+    const MIN_SPACING_MS = 100;
+    const MAX_SPACING_MS = 10000;
+    let limit = 1;
+    let spacing = Math.min(MAX_SPACING_MS, Math.max(MIN_SPACING_MS, initialSpacing));
+    let active = 0;
+    let nextStart = 0;
+    let healthyStreak = 0;
+    let latency = null;
+    let baseline = null;
 
-      const rootId = "client-created-root";
-      mapping[rootId] = { id: rootId, message: null, parent: null, children: [] };
+    return {
+      get limit() { return limit; },
 
-      const systemId = crypto.randomUUID();
-      mapping[systemId] = {
-        id: systemId,
-        message: {
-          id: systemId,
-          author: { role: "system", name: null, metadata: {} },
-          create_time: firstTs,
-          update_time: null,
-          content: { content_type: "text", parts: [""] },
-          status: "finished_successfully",
-          end_turn: true,
-          weight: 1.0,
-          metadata: {},
-          recipient: "all",
-          channel: null,
-        },
-        parent: rootId,
-        children: [],
-      };
-      mapping[rootId].children.push(systemId);
+      async acquire() {
+        while (active >= limit || Date.now() < nextStart) {
+          await sleep(Math.max(25, nextStart - Date.now()));
+        }
+        active++;
+        nextStart = Date.now() + spacing;
+      },
 
-      let prevId = systemId;
-      let title = sanitizeText(conv.chatName) || null;
+      release() {
+        active--;
+      },
 
-      for (const msg of conv.messages) {
-        const created = toUnixSeconds(msg.createdAt);
-        const text = sanitizeText(msg.text || "");
+      onSuccess(ms) {
+        latency = latency === null ? ms : latency * 0.7 + ms * 0.3;
+        baseline = baseline === null || latency < baseline ? latency : baseline + (latency - baseline) * 0.05;
+        if (latency > baseline * 2.5 && limit > 1) {
+          limit--;
+          healthyStreak = 0;
+          baseline = latency;
+          return;
+        }
+        if (++healthyStreak >= limit * 2) {
+          healthyStreak = 0;
+          limit = Math.min(maxConcurrency, limit + 1);
+          spacing = Math.max(MIN_SPACING_MS, Math.round(spacing * 0.8));
+        }
+      },
 
-        let role;
-        if (msg.author === "user") {
-          role = "user";
-          if (!title && text) title = text.substring(0, 100).trim();
-        } else if (msg.author === "bot") {
-          role = "assistant";
-        } else {
+      onRetry() {
+        healthyStreak = 0;
+        limit = Math.max(1, Math.floor(limit / 2));
+        spacing = Math.min(MAX_SPACING_MS, spacing * 2);
+      },
+    };
+  }
+
+  /**
+   * Run worker(item) over items with at most limiter.limit in flight.
+   * Stops taking new items once the fetch is cancelled.
+   */
+  async function runPool(items, limiter, worker) {
+    let next = 0;
+    const runners = Array.from({ length: MAX_CONCURRENCY }, async () => {
+      while (next < items.length) {
+        if (await waitWhilePaused()) return;
+        await limiter.acquire();
+        if (fetchControl.paused || fetchControl.cancelled || next >= items.length) {
+          limiter.release();
           continue;
         }
+        const item = items[next++];
+        try {
+          await worker(item);
+        } finally {
+          limiter.release();
+        }
+      }
+    });
+    await Promise.all(runners);
+  }
 
-        const nodeId = msg.messageId || crypto.randomUUID();
+  function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.ceil(seconds)}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${Math.round(seconds % 60)}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
 
-        mapping[nodeId] = {
-          id: nodeId,
-          message: {
-            id: nodeId,
-            author: { role, name: null, metadata: {} },
-            create_time: created,
-            update_time: null,
-            content: { content_type: "text", parts: [text] },
-            status: "finished_successfully",
-            end_turn: role === "assistant",
-            weight: 1.0,
-            metadata: {
-              copilot_app_class: msg.contentOrigin || "",
-              copilot_session_id: convId,
-              copilot_message_id: msg.messageId || "",
-              copilot_request_id: msg.requestId || "",
-            },
-            recipient: "all",
-            channel: null,
-          },
-          parent: prevId,
-          children: [],
-        };
+  /**
+   * " · 1.8/s · ETA 2m 10s · 3 parallel" once there is a rate to report.
+   */
+  function describeProgress(completed, remaining, startedAt, limiter) {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    if (completed === 0 || elapsed <= 0) return ` · ${limiter.limit} parallel`;
+    const rate = completed / elapsed;
+    return ` · ${rate.toFixed(1)}/s · ETA ${formatDuration(remaining / rate)} · ${limiter.limit} parallel`;
+  }
+
+  // ── Fetch checkpoint ──────────────────────────────────────────────
+
+  const CHECKPOINT_KEY = "checkpoint";
+  const FAILURES_KEY = "lastFailures";
+
+  /**
+   * Progress of a Fetch All run, saved to IndexedDB after every page and
+   * conversation so a later session can resume where this one stopped.
+   * phase "list" pages through GetChats (chats, page, syncState); phase
+   * "fetch" works through queue, recording done IDs and failures.
+   */
+  function newCheckpoint(phase) {
+    return {
+      phase,
+      chats: [],
+      page: 0,
+      syncState: null,
+      queue: [],
+      done: [],
+      failures: [],
+      summary: "",
+      startedAt: new Date().toISOString(),
+    };
+  }
+
+  function toChatRef(chat) {
+    return {
+      conversationId: chat.conversationId,
+      chatName: chat.chatName || "",
+      createTimeUtc: chat.createTimeUtc,
+      updateTimeUtc: chat.updateTimeUtc,
+      tone: chat.tone || "",
+      agent: getAgent(chat),
+    };
+  }
+
+  function saveCheckpoint(checkpoint) {
+    checkpoint.updatedAt = new Date().toISOString();
+    return setMeta(CHECKPOINT_KEY, checkpoint).catch((e) => {
+      console.warn(`[Copilot Export] Failed to save checkpoint: ${e?.message || e}`);
+    });
+  }
+
+  async function loadFetchState() {
+    const [checkpoint, failures] = await Promise.all([getMeta(CHECKPOINT_KEY), getMeta(FAILURES_KEY)]);
+    if (!isFetchingAll) pendingCheckpoint = checkpoint || null;
+    lastFailures = failures || [];
+    updateFetchControls();
+  }
+
+  /**
+   * Block while the run is paused.  Returns true if it was cancelled.
+   */
+  async function waitWhilePaused() {
+    while (fetchControl.paused && !fetchControl.cancelled) await sleep(250);
+    return fetchControl.cancelled;
+  }
+
+  // ── Scheduled backup ──────────────────────────────────────────────
+
+  const BACKUP_KEY = "copilot-export-backup";
+  const BACKUP_STATE_KEY = "copilot-export-backup-state";
+  const BACKUP_STARTUP_DELAY_MS = 60 * 1000;
+  const BACKUP_POSTPONE_MS = 15 * 60 * 1000;
+  let nextBackupAt = null;
+  let backupTimer = null;
+  let backupPostponedBy = null;
+
+  /**
+   * schedule "interval" runs every intervalHours, "daily" at dailyTime
+   * (local HH:MM).  download "delta" saves only the conversations that
+   * changed since the last run, "full" every conversation with content.
+   */
+  function getBackupSettings() {
+    const saved = loadJsonSetting(BACKUP_KEY);
+    return {
+      enabled: saved.enabled === true,
+      schedule: saved.schedule === "daily" ? "daily" : "interval",
+      intervalHours: saved.intervalHours > 0 ? saved.intervalHours : 4,
+      dailyTime: /^\d{2}:\d{2}$/.test(saved.dailyTime) ? saved.dailyTime : "09:00",
+      download: saved.download === "full" ? "full" : "delta",
+    };
+  }
+
+  function saveBackupSettings(settings) {
+    localStorage.setItem(BACKUP_KEY, JSON.stringify(settings));
+  }
+
+  /** { lastRunAt, lastBackupAt, lastResult } */
+  function getBackupState() {
+    return loadJsonSetting(BACKUP_STATE_KEY);
+  }
+
+  function saveBackupState(state) {
+    localStorage.setItem(BACKUP_STATE_KEY, JSON.stringify(state));
+  }
+
+  /**
+   * When the next backup is due.  A run missed while the tab was closed
+   * happens shortly after the page loads.
+   */
+  function computeNextBackup(settings, lastRunAt, now = Date.now()) {
+    let next;
+    if (settings.schedule === "daily") {
+      const [hours, minutes] = settings.dailyTime.split(":").map(Number);
+      const slot = new Date(now);
+      slot.setHours(hours, minutes, 0, 0);
+      if (slot.getTime() > now) {
+        next = slot.getTime();
+      } else if (lastRunAt && lastRunAt < slot.getTime()) {
+        next = now;
+      } else {
+        slot.setDate(slot.getDate() + 1);
+        next = slot.getTime();
+      }
+    } else {
+      next = (lastRunAt || now) + settings.intervalHours * 3600 * 1000;
+    }
+    return next > now ? next : now + BACKUP_STARTUP_DELAY_MS;
+  }
+
+  function scheduleBackup() {
+    const settings = getBackupSettings();
+    backupPostponedBy = null;
+    nextBackupAt = settings.enabled ? computeNextBackup(settings, getBackupState().lastRunAt) : null;
+    if (settings.enabled && !backupTimer) {
+      backupTimer = setInterval(() => {
+        updateBackupInfo();
+        if (nextBackupAt !== null && Date.now() >= nextBackupAt) runBackup();
+      }, 1000);
+    } else if (!settings.enabled && backupTimer) {
+      clearInterval(backupTimer);
+      backupTimer = null;
+    }
+    updateBackupInfo();
+  }
+
+  /**
+   * Delta Fetch All over every conversation (ignoring the filter and
+   * selection), then download what changed.  Exports still go through
+   * the redaction stage.  A backup that failed part-way is resumed; while
+   * a Fetch All is running or waiting to be resumed, the backup waits.
+   */
+  async function runBackup() {
+    const busy = isFetchingAll
+      ? "a fetch is running"
+      : pendingCheckpoint && !pendingCheckpoint.unfiltered
+        ? "the unfinished Fetch All is resumed"
+        : null;
+    if (busy) {
+      nextBackupAt = Date.now() + BACKUP_POSTPONE_MS;
+      backupPostponedBy = busy;
+      console.log(`[Copilot Export] Backup postponed until ${busy}`);
+      updateBackupInfo();
+      return;
+    }
+    nextBackupAt = null;
+
+    let checkpoint = pendingCheckpoint;
+    if (!checkpoint) {
+      checkpoint = newCheckpoint("list");
+      checkpoint.unfiltered = true;
+    }
+    // Conversations a failed run already fetched were never downloaded.
+    const carried = new Set(checkpoint.done);
+    const before = new Map(conversations);
+    const result = await runFetch(checkpoint);
+
+    const state = getBackupState();
+    state.lastRunAt = Date.now();
+    if (!result) {
+      state.lastResult = pendingCheckpoint ? "failed, resumes at the next run" : "cancelled";
+    } else {
+      const failed = new Set(result.failures.map((f) => f.conversationId));
+      const changed = new Set(
+        result.done.filter((id) => {
+          const conv = conversations.get(id);
+          if (failed.has(id) || !conv || conv.messages.length === 0) return false;
+          return carried.has(id) || hasContentChanged(before.get(id), conv);
+        })
+      );
+      const settings = getBackupSettings();
+      const convs = Array.from(conversations.values()).filter(
+        (c) => c.messages.length > 0 && (settings.download === "full" || changed.has(c.conversationId))
+      );
+
+      if (changed.size === 0 || convs.length === 0) {
+        state.lastResult = "no changes";
+      } else {
+        try {
+          const redactor = createRedactor(getRedactionSettings());
+          downloadJson(
+            { conversations: buildConversationsJson(convs.map((c) => redactor.redact(c))) },
+            buildFilename(`backup_${settings.download}`, "json", convs.length, true)
+          );
+          state.lastBackupAt = state.lastRunAt;
+          state.lastResult = `${changed.size} changed, ${convs.length} saved`;
+        } catch (e) {
+          state.lastResult = `failed: ${e.message}`;
+        }
+      }
+    }
+
+    saveBackupState(state);
+    console.log(`[Copilot Export] Scheduled backup: ${state.lastResult}`);
+    scheduleBackup();
+  }
+
+  /**
+   * Whether a fetch changed a stored conversation.  Records are replaced,
+   * never modified, so an untouched conversation is the same object.
+   */
+  function hasContentChanged(before, after) {
+    if (before === after) return false;
+    if (!before) return true;
+    return (
+      before.updateTimeUtc !== after.updateTimeUtc ||
+      JSON.stringify(before.messages) !== JSON.stringify(after.messages)
+    );
+  }
+
+  // ── Adaptive Card renderer ────────────────────────────────────────
+
+  /**
+   * Convert Adaptive Card JSON into readable markdown.  Covers the elements
+   * Copilot uses; unknown element types fall back to their children.
+   */
+  function adaptiveCardToMarkdown(card) {
+    const blocks = [];
+    renderCardElements(card?.body, blocks);
+    renderCardActions(card?.actions, blocks);
+    return blocks.filter((b) => b.trim()).join("\n\n");
+  }
+
+  function renderCardElements(elements, blocks) {
+    for (const el of elements || []) {
+      if (!el || el.isVisible === false) continue;
+      switch (el.type) {
+        case "TextBlock": {
+          const text = String(el.text || "").trim();
+          if (!text) break;
+          const isHeading =
+            el.style === "heading" ||
+            (/^(large|extraLarge)$/i.test(el.size || "") && /^bolder$/i.test(el.weight || ""));
+          blocks.push(isHeading ? `### ${text.replace(/\s+/g, " ")}` : text);
+          break;
+        }
+        case "RichTextBlock":
+          blocks.push(renderInlines(el.inlines));
+          break;
+        case "FactSet":
+          blocks.push(
+            (el.facts || [])
+              .map((f) => `- **${String(f.title || "").trim()}** ${String(f.value || "").trim()}`)
+              .join("\n")
+          );
+          break;
+        case "Table":
+          blocks.push(renderCardTable(el));
+          break;
+        case "ColumnSet":
+          for (const column of el.columns || []) renderCardElements(column.items, blocks);
+          break;
+        case "Container":
+          renderCardElements(el.items, blocks);
+          break;
+        case "Image":
+          if (el.url) blocks.push(`![${el.altText || ""}](${markdownUrl(el.url)})`);
+          break;
+        case "ImageSet":
+          renderCardElements((el.images || []).map((img) => ({ type: "Image", ...img })), blocks);
+          break;
+        case "ActionSet":
+          renderCardActions(el.actions, blocks);
+          break;
+        default:
+          renderCardElements(el.items || el.body, blocks);
+      }
+    }
+  }
+
+  function renderCardActions(actions, blocks) {
+    const links = [];
+    for (const action of actions || []) {
+      if (action?.type === "Action.OpenUrl" && action.url) {
+        links.push(`[${action.title || action.url}](${markdownUrl(action.url)})`);
+      } else if (action?.type === "Action.ShowCard" && action.card) {
+        renderCardElements(action.card.body, blocks);
+        renderCardActions(action.card.actions, blocks);
+      }
+    }
+    if (links.length > 0) blocks.push(links.join(" · "));
+  }
+
+  function renderInlines(inlines) {
+    return (inlines || [])
+      .map((run) => {
+        if (typeof run === "string") return run;
+        let text = String(run?.text || "");
+        if (!text.trim()) return text;
+        if (run.weight === "bolder") text = `**${text}**`;
+        if (run.italic) text = `*${text}*`;
+        if (run.strikethrough) text = `~~${text}~~`;
+        if (run.selectAction?.type === "Action.OpenUrl" && run.selectAction.url) {
+          text = `[${text}](${markdownUrl(run.selectAction.url)})`;
+        }
+        return text;
+      })
+      .join("");
+  }
+
+  function renderCardTable(table) {
+    const rows = (table.rows || []).map((row) =>
+      (row.cells || []).map((cell) => {
+        const parts = [];
+        renderCardElements(cell.items, parts);
+        return parts.join(" ").replace(/\s*\n\s*/g, " ").replace(/\|/g, "\\|").trim();
+      })
+    );
+    if (rows.length === 0) return "";
+
+    const width = Math.max(table.columns?.length || 0, ...rows.map((r) => r.length));
+    const pad = (cells) => Array.from({ length: width }, (_, i) => cells[i] || "");
+    const header = table.firstRowAsHeader === false ? pad([]) : pad(rows.shift());
+    return [
+      `| ${header.join(" | ")} |`,
+      `| ${header.map(() => "---").join(" | ")} |`,
+      ...rows.map((r) => `| ${pad(r).join(" | ")} |`),
+    ].join("\n");
+  }
+
+  /**
+   * Exportable text for a message: its text, or for card-only bot
+   * messages the rendered Adaptive Cards.  Tool messages without either
+   * fall back to their hidden text or grounding data.
+   */
+  function getMessageText(msg) {
+    if (msg.text) return msg.text;
+    const cards = (msg.adaptiveCards || []).map(adaptiveCardToMarkdown).filter(Boolean).join("\n\n");
+    if (cards || !isToolMessage(msg)) return cards;
+    return msg.hiddenText || (msg.groundingInfo ? JSON.stringify(msg.groundingInfo, null, 2) : "");
+  }
+
+  // ── Citations ─────────────────────────────────────────────────────
+
+  const FOOTNOTE_PATTERN = /\[\^(\d+)\^\]/g;
+
+  function isWebUrl(url) {
+    return typeof url === "string" && /^https?:\/\//i.test(url);
+  }
+
+  /** Percent-encode characters that would end a markdown link target early. */
+  function markdownUrl(url) {
+    return url.replace(/[\s()<>]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+  }
+
+  /**
+   * Normalize a bot message's sourceAttributions (web results and
+   * enterprise documents).  Footnote [^n^] refers to sources[n - 1].
+   */
+  function getSources(msg) {
+    return (msg.sourceAttributions || []).map((src, i) => ({
+      index: i + 1,
+      title: src.providerDisplayName || src.title || "",
+      url: isWebUrl(src.seeMoreUrl) ? src.seeMoreUrl : isWebUrl(src.url) ? src.url : "",
+      snippet: src.snippet || "",
+      sourceType: src.sourceType || src.provider || "",
+    }));
+  }
+
+  /**
+   * Replace [^n^] footnote markers with markdown links to their sources and
+   * describe each replacement in the shapes ChatGPT exports use:
+   * metadata.citations (start_ix/end_ix) and metadata.content_references
+   * (start_idx/end_idx, plus a trailing sources_footnote listing every source).
+   * Sources without a web URL (enterprise documents, emails, Teams
+   * messages) become a plain [n] cited by title and source type.
+   */
+  function linkFootnotes(text, sources) {
+    const citations = [];
+    const contentReferences = [];
+    let output = "";
+    let last = 0;
+
+    for (const match of text.matchAll(FOOTNOTE_PATTERN)) {
+      const source = sources[Number(match[1]) - 1];
+      if (!source) continue;
+
+      const link = source.url ? `[[${source.index}]](${markdownUrl(source.url)})` : `[${source.index}]`;
+      output += text.slice(last, match.index);
+      const start = output.length;
+      output += link;
+      last = match.index + match[0].length;
+
+      citations.push({
+        start_ix: start,
+        end_ix: output.length,
+        citation_format_type: "tether_og",
+        metadata: {
+          type: source.url ? "webpage" : "file",
+          title: source.title,
+          url: source.url,
+          text: source.snippet,
+          pub_date: null,
+          extra: { cited_message_idx: 0, search_result_idx: source.index - 1, evidence_text: "" },
+        },
+      });
+      contentReferences.push({
+        matched_text: link,
+        start_idx: start,
+        end_idx: output.length,
+        alt: link,
+        type: source.url ? "grouped_webpages" : "file",
+        items: [{ title: source.title, url: source.url, pub_date: null, snippet: source.snippet, attribution: source.sourceType }],
+        safe_urls: source.url ? [source.url] : [],
+      });
+    }
+    output += text.slice(last);
+
+    if (sources.length > 0) {
+      contentReferences.push({
+        matched_text: " ",
+        start_idx: output.length,
+        end_idx: output.length,
+        alt: "",
+        type: "sources_footnote",
+        sources: sources.map((src) => ({ title: src.title, url: src.url, attribution: src.sourceType })),
+      });
+    }
+
+    return { text: output, citations, contentReferences };
+  }
+
+  // ── Attachments ───────────────────────────────────────────────────
+
+  const BUNDLE_IMAGES_KEY = "copilot-export-bundle-images";
+
+  const IMAGE_TYPES = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    bmp: "image/bmp",
+    svg: "image/svg+xml",
+  };
+
+  function getBundleImages() {
+    return localStorage.getItem(BUNDLE_IMAGES_KEY) === "1";
+  }
+
+  function setBundleImages(enabled) {
+    if (enabled) localStorage.setItem(BUNDLE_IMAGES_KEY, "1");
+    else localStorage.removeItem(BUNDLE_IMAGES_KEY);
+  }
+
+  function fileNameFromUrl(url) {
+    if (url.startsWith("data:")) return "";
+    try {
+      return decodeURIComponent(new URL(url, "https://localhost/").pathname.split("/").pop() || "");
+    } catch {
+      return "";
+    }
+  }
+
+  function guessContentType(name, url) {
+    const ext = /\.([a-z0-9]+)$/i.exec(name)?.[1] || /^data:([^;,]+)/.exec(url)?.[1]?.split("/")[1] || "";
+    return IMAGE_TYPES[ext.toLowerCase()] || "";
+  }
+
+  /**
+   * Attachment and image references in a Substrate message: uploaded files
+   * (attachments, messageAnnotations), pasted images (imageUrl) and images
+   * inside adaptive cards such as Designer output.  Each reference is
+   * { source: "upload" | "card", kind: "image" | "file", name, url, contentType }.
+   */
+  function extractAttachments(msg) {
+    const refs = [];
+    const seen = new Set();
+    const add = (source, url, name, contentType, isImage) => {
+      if (typeof url !== "string" || !url || seen.has(url)) return;
+      seen.add(url);
+      const fileName = name || fileNameFromUrl(url);
+      const type = contentType || guessContentType(fileName, url);
+      refs.push({
+        source,
+        kind: isImage || type.startsWith("image/") ? "image" : "file",
+        name: fileName || "attachment",
+        url,
+        contentType: type,
+      });
+    };
+
+    for (const a of msg.attachments || []) {
+      add("upload", a.url || a.contentUrl || a.fileUrl, a.name || a.fileName, a.contentType || a.mimeType, false);
+    }
+    for (const annotation of msg.messageAnnotations || []) {
+      const meta = annotation.messageAnnotationMetadata || {};
+      const isImage = /image/i.test(annotation.messageAnnotationType || meta.annotationType || "");
+      add("upload", meta.fileUrl || meta.url, meta.fileName || meta.title, "", isImage);
+    }
+    add("upload", msg.imageUrl, "", "", true);
+    add("upload", msg.originalImageUrl, "", "", true);
+
+    const walk = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(walk);
+      } else if (node && typeof node === "object") {
+        if (node.type === "Image") add("card", node.url, "", "", true);
+        if (node.type === "ImageSet") (node.images || []).forEach((img) => add("card", img.url, "", "", true));
+        Object.values(node).forEach(walk);
+      }
+    };
+    walk(msg.adaptiveCards);
+
+    return refs;
+  }
+
+  /**
+   * Download the images referenced by the given conversations.  Assets are
+   * keyed by "conversation:message:attachment" index path, since positions
+   * survive the redaction stage but URLs may not.  The bearer token is only
+   * sent to the Substrate host it was issued for.
+   */
+  async function downloadImages(convs, onProgress) {
+    const jobs = [];
+    convs.forEach((conv, ci) => {
+      conv.messages.forEach((msg, mi) => {
+        (msg.attachmentRefs || []).forEach((ref, ai) => {
+          if (ref.kind === "image") jobs.push({ key: `${ci}:${mi}:${ai}`, ref });
+        });
+      });
+    });
+
+    const assets = new Map();
+    let failed = 0;
+    if (jobs.length === 0) return { assets, failed };
+
+    let auth = null;
+    try { auth = await getTokenAndIds(); } catch { /* download without auth */ }
+    const substrateHost = new URL(SUBSTRATE_BASE).hostname;
+
+    for (const [i, { key, ref }] of jobs.entries()) {
+      onProgress?.(i + 1, jobs.length);
+      try {
+        const url = new URL(ref.url, location.href);
+        const headers = auth && url.hostname === substrateHost ? { authorization: `Bearer ${auth.token}` } : {};
+        // Skip the interceptor, which would read every image as text
+        const resp = await pageFetch(url.href, { headers });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+        const data = new Uint8Array(await resp.arrayBuffer());
+        const contentType = resp.headers.get("content-type")?.split(";")[0].trim() || ref.contentType;
+        const ext = Object.keys(IMAGE_TYPES).find((e) => IMAGE_TYPES[e] === contentType);
+        const name = ref.name === "attachment" ? "image" : ref.name;
+        const hasExt = Boolean(guessContentType(name, ""));
+        const id = `file-${crypto.randomUUID().replace(/-/g, "").slice(0, 22)}`;
+        assets.set(key, {
+          id,
+          fileName: `${id}-${safeFilename(ext && !hasExt ? `${name}.${ext}` : name)}`,
+          size: data.length,
+          contentType: contentType || "application/octet-stream",
+          data,
+        });
+      } catch (e) {
+        failed++;
+        console.warn(`[Copilot Export] Could not download image ${ref.url}: ${e.message}`);
+      }
+    }
+
+    return { assets, failed };
+  }
+
+  // ── ChatGPT format converter ──────────────────────────────────────
+
+  function toUnixSeconds(ts) {
+    if (!ts) return null;
+    if (typeof ts === "number") return ts > 1e12 ? ts / 1000 : ts;
+    try { return new Date(ts).getTime() / 1000; } catch { return null; }
+  }
+
+  /**
+   * Convert conversation records (see getExportConversations) into
+   * ChatGPT conversations.json entries, newest first.  Images downloaded
+   * by downloadImages become image_asset_pointer parts.
+   */
+  function buildConversationsJson(convs, textMode = getTextMode(), assets = null) {
+    const output = [];
+
+    for (const [ci, conv] of convs.entries()) {
+      const convId = conv.conversationId;
+
+      const firstTs =
+        toUnixSeconds(conv.createTimeUtc) ||
+        toUnixSeconds(conv.messages[0]?.createdAt);
+      const lastTs =
+        toUnixSeconds(conv.updateTimeUtc) ||
+        toUnixSeconds(conv.messages[conv.messages.length - 1]?.createdAt);
+
+      const mapping = {};
+
+      const rootId = "client-created-root";
+      mapping[rootId] = { id: rootId, message: null, parent: null, children: [] };
+
+      const systemId = crypto.randomUUID();
+      mapping[systemId] = {
+        id: systemId,
+        message: {
+          id: systemId,
+          author: { role: "system", name: null, metadata: {} },
+          create_time: firstTs,
+          update_time: null,
+          content: { content_type: "text", parts: [""] },
+          status: "finished_successfully",
+          end_turn: true,
+          weight: 1.0,
+          metadata: {},
+          recipient: "all",
+          channel: null,
+        },
+        parent: rootId,
+        children: [],
+      };
+      mapping[rootId].children.push(systemId);
+
+      const safeUrls = new Set();
+      let prevId = systemId;
+      // Responses sharing a requestId (regenerations, retries, resumed
+      // answers) become sibling branches under the message they answer;
+      // the conversation continues from the last one.
+      let branch = null;
+      let title = sanitizeText(conv.chatName, "legacy") || null;
+
+      for (const [mi, msg] of conv.messages.entries()) {
+        const created = toUnixSeconds(msg.createdAt);
+        const sources = msg.author === "bot" ? getSources(msg) : [];
+        const { text, citations, contentReferences } = linkFootnotes(
+          sanitizeText(getMessageText(msg), textMode),
+          sources
+        );
+        for (const src of sources) {
+          if (src.url) safeUrls.add(src.url);
+        }
+
+        let role;
+        if (msg.author === "user") {
+          role = "user";
+          if (!title && text) title = flattenText(text).substring(0, 100).trim();
+        } else if (isToolMessage(msg)) {
+          role = "tool";
+        } else if (msg.author === "bot") {
+          role = "assistant";
+        } else {
+          continue;
+        }
+        const toolName = role === "tool" ? getToolName(msg) : null;
+
+        const nodeId = msg.messageId || crypto.randomUUID();
+        let parentId = prevId;
+        if (role !== "user" && msg.requestId) {
+          // A step after an answer to the same request starts a new attempt.
+          if (branch?.requestId !== msg.requestId) branch = { requestId: msg.requestId, parentId: prevId, answered: false };
+          else if (branch.answered) parentId = branch.parentId;
+          branch.answered = role === "assistant";
+        } else {
+          branch = null;
+        }
+        const refs = msg.attachmentRefs || [];
+        const refAssets = refs.map((_, ai) => assets?.get(`${ci}:${mi}:${ai}`) || null);
+        const imageParts = refAssets.filter(Boolean).map((asset) => ({
+          content_type: "image_asset_pointer",
+          asset_pointer: `file-service://${asset.id}`,
+          size_bytes: asset.size,
+          width: null,
+          height: null,
+          fovea: null,
+          metadata: null,
+        }));
+
+        mapping[nodeId] = {
+          id: nodeId,
+          message: {
+            id: nodeId,
+            author: { role, name: toolName, metadata: {} },
+            create_time: created,
+            update_time: null,
+            content: imageParts.length > 0
+              ? { content_type: "multimodal_text", parts: [...imageParts, text] }
+              : { content_type: "text", parts: [text] },
+            status: "finished_successfully",
+            end_turn: role === "assistant",
+            weight: 1.0,
+            metadata: {
+              copilot_app_class: msg.contentOrigin || "",
+              copilot_session_id: convId,
+              copilot_message_id: msg.messageId || "",
+              copilot_request_id: msg.requestId || "",
+              ...(role === "tool" ? { copilot_message_type: msg.messageType } : {}),
+              ...(conv.agent ? { gizmo_id: conv.agent.id, copilot_agent: conv.agent } : {}),
+              citations,
+              content_references: contentReferences,
+              ...(!msg.text && msg.adaptiveCards?.length
+                ? { copilot_adaptive_cards: msg.adaptiveCards }
+                : {}),
+              ...(refs.length > 0
+                ? {
+                    attachments: refs.map((ref, ai) => ({
+                      id: refAssets[ai]?.id || null,
+                      name: ref.name,
+                      mime_type: refAssets[ai]?.contentType || ref.contentType || null,
+                      size: refAssets[ai]?.size ?? null,
+                      url: ref.url,
+                      copilot_source: ref.source,
+                    })),
+                  }
+                : {}),
+            },
+            // A search query is addressed to the tool; its results go back to all.
+            recipient: msg.messageType === "InternalSearchQuery" ? toolName : "all",
+            channel: null,
+          },
+          parent: parentId,
+          children: [],
+        };
+
+        mapping[parentId].children.push(nodeId);
+        prevId = nodeId;
+      }
+
+      output.push({
+        title: title || "Copilot Chat",
+        create_time: firstTs,
+        update_time: lastTs,
+        mapping,
+        moderation_results: [],
+        current_node: prevId,
+        plugin_ids: null,
+        conversation_id: convId,
+        conversation_template_id: null,
+        gizmo_id: conv.agent?.id || null,
+        gizmo_type: conv.agent ? "gpt" : null,
+        is_archived: false,
+        is_starred: null,
+        safe_urls: Array.from(safeUrls),
+        blocked_urls: [],
+        default_model_slug: "copilot",
+        conversation_origin: null,
+        is_read_only: null,
+        voice: null,
+        async_status: null,
+        disabled_tool_ids: [],
+        is_do_not_remember: false,
+        memory_scope: null,
+        context_scopes: null,
+        sugar_item_id: null,
+        sugar_item_visible: false,
+        pinned_time: null,
+        is_study_mode: false,
+        owner: null,
+        id: convId,
+      });
+    }
+
+    output.sort((a, b) => (b.create_time || 0) - (a.create_time || 0));
+    return output;
+  }
+
+  // ── Markdown converter ────────────────────────────────────────────
+
+  /**
+   * Format a Substrate timestamp (Unix ms or date string) as ISO 8601,
+   * or null if it is missing/unparseable.
+   */
+  function toIsoString(ts) {
+    const seconds = toUnixSeconds(ts);
+    if (!seconds || isNaN(seconds)) return null;
+    return new Date(seconds * 1000).toISOString();
+  }
+
+  /**
+   * Quote a value as a YAML double-quoted scalar.  JSON string syntax is a
+   * subset of YAML's double-quoted style, so JSON.stringify is sufficient.
+   */
+  function yamlString(value) {
+    return JSON.stringify(String(value ?? ""));
+  }
+
+  /**
+   * Make a string safe to use as a file name on Windows, macOS and Linux,
+   * and in Obsidian (which also rejects # ^ [ ] |).
+   */
+  function safeFilename(name, maxLength = 80) {
+    const cleaned = String(name || "")
+      .replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .replace(/^\.+/, "");
+    return cleaned.substring(0, maxLength).trim() || "Copilot Chat";
+  }
+
+  function buildMarkdown(conv) {
+    const title =
+      conv.chatName ||
+      (conv.messages.find((m) => m.author === "user" && m.text)?.text || "")
+        .substring(0, 100)
+        .trim() ||
+      "Copilot Chat";
+
+    const lines = [
+      "---",
+      `conversationId: ${yamlString(conv.conversationId)}`,
+      `chatName: ${yamlString(conv.chatName)}`,
+      `createTimeUtc: ${yamlString(toIsoString(conv.createTimeUtc) || "")}`,
+      `updateTimeUtc: ${yamlString(toIsoString(conv.updateTimeUtc) || "")}`,
+      `tone: ${yamlString(conv.tone)}`,
+      ...(conv.agent ? [`agent: ${yamlString(conv.agent.name || conv.agent.id)}`, `agentId: ${yamlString(conv.agent.id)}`] : []),
+      `messageCount: ${conv.messages.length}`,
+      "---",
+      "",
+      `# ${title.replace(/\s+/g, " ")}`,
+      "",
+    ];
+
+    const attempts = getResponseAttempts(conv.messages);
+    for (const [i, msg] of conv.messages.entries()) {
+      let heading;
+      if (msg.author === "user") heading = "User";
+      else if (isToolMessage(msg)) heading = `Tool: ${getToolName(msg)}`;
+      else if (msg.author === "bot") heading = "Copilot";
+      else continue;
+      if (attempts[i]) heading += ` (attempt ${attempts[i].attempt} of ${attempts[i].of})`;
+
+      lines.push(`## ${heading}`, "");
+      const created = toIsoString(msg.createdAt);
+      if (created) lines.push(`*${created}*`, "");
+      const sources = msg.author === "bot" ? getSources(msg) : [];
+      const { text } = linkFootnotes(sanitizeText(getMessageText(msg)), sources);
+      lines.push(text.replace(/\r\n?/g, "\n").trim(), "");
+
+      // Card images are already inlined by the adaptive card renderer.
+      const uploads = (msg.attachmentRefs || []).filter((ref) => ref.source !== "card");
+      if (uploads.length > 0) {
+        lines.push("**Attachments:**", "");
+        for (const ref of uploads) {
+          lines.push(`- ${ref.kind === "image" ? "!" : ""}[${ref.name.replace(/[[\]]/g, "")}](${markdownUrl(ref.url)})`);
+        }
+        lines.push("");
+      }
+
+      if (sources.length > 0) {
+        lines.push("**Sources:**", "");
+        for (const src of sources) {
+          const label = (src.title || src.url || src.sourceType || "Source").replace(/[[\]]/g, "");
+          lines.push(
+            src.url
+              ? `${src.index}. [${label}](${markdownUrl(src.url)})`
+              : `${src.index}. ${label}${src.sourceType ? ` (${src.sourceType})` : ""}`
+          );
+        }
+        lines.push("");
+      }
+    }
+
+    return { title, markdown: lines.join("\n") };
+  }
+
+  /**
+   * Build one Markdown file per conversation.
+   * Returns [{ name, data }] entries ready for buildZip().
+   */
+  function buildMarkdownFiles(convs) {
+    const files = [];
+    const usedNames = new Set();
+
+    for (const conv of convs) {
+      const { title, markdown } = buildMarkdown(conv);
+      const date = (toIsoString(conv.createTimeUtc) || "").slice(0, 10);
+      const base = safeFilename(date ? `${date} ${title}` : title);
+
+      let name = `${base}.md`;
+      for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+        name = `${base} (${n}).md`;
+      }
+      usedNames.add(name.toLowerCase());
+      files.push({ name, data: markdown });
+    }
+
+    return files;
+  }
+
+  // ── JSONL dataset export ──────────────────────────────────────────
+
+  const JSONL_KEY = "copilot-export-jsonl";
+
+  /**
+   * windowTurns: 0 writes one line per conversation, otherwise one line per
+   * window of that many turns (a user message plus the replies to it).
+   */
+  function getJsonlSettings() {
+    const saved = loadJsonSetting(JSONL_KEY);
+    return {
+      windowTurns: saved.windowTurns > 0 ? saved.windowTurns : 0,
+      dropEmptyAssistant: saved.dropEmptyAssistant !== false,
+      includeMetadata: saved.includeMetadata !== false,
+    };
+  }
+
+  function saveJsonlSettings(settings) {
+    localStorage.setItem(JSONL_KEY, JSON.stringify(settings));
+  }
+
+  /**
+   * Group a conversation's messages into turns.  Footnote markers are
+   * dropped because the sources they point to are not part of the line,
+   * and only the last attempt at a regenerated response is kept.
+   */
+  function groupTurns(conv, textMode) {
+    const turns = [];
+    const attempts = getResponseAttempts(conv.messages);
+    for (const [i, msg] of conv.messages.entries()) {
+      const role = msg.author === "user" ? "user" : msg.author === "bot" ? "assistant" : null;
+      // Tool steps need tool-call IDs in this format; leave them out.
+      if (!role || isToolMessage(msg)) continue;
+      if (attempts[i] && attempts[i].attempt < attempts[i].of) continue;
+      if (role === "user" || turns.length === 0) turns.push({ messages: [], times: [], hasReply: false });
+
+      const turn = turns[turns.length - 1];
+      const content = (sanitizeText(getMessageText(msg), textMode) || "").replace(FOOTNOTE_PATTERN, "").trim();
+      turn.messages.push({ role, content });
+      if (msg.createdAt) turn.times.push(msg.createdAt);
+      if (role === "assistant" && content) turn.hasReply = true;
+    }
+    return turns;
+  }
+
+  /**
+   * Build OpenAI chat-format JSONL ({"messages": [...]} per line).
+   * Returns { jsonl, lineCount, dropped }.
+   */
+  function buildJsonl(convs, settings = getJsonlSettings(), textMode = getTextMode()) {
+    const lines = [];
+    let dropped = 0;
+
+    for (const conv of convs) {
+      const turns = groupTurns(conv, textMode);
+      if (turns.length === 0) continue;
+      if (settings.dropEmptyAssistant && turns.some((t) => !t.hasReply)) {
+        dropped++;
+        continue;
+      }
+
+      const size = settings.windowTurns || turns.length;
+      for (let i = 0; i < turns.length; i += size) {
+        const chunk = turns.slice(i, i + size);
+        const line = { messages: chunk.flatMap((t) => t.messages) };
+        if (settings.includeMetadata) {
+          const times = chunk.flatMap((t) => t.times);
+          line.metadata = {
+            conversation_id: conv.conversationId,
+            title: conv.chatName || "",
+            agent_id: conv.agent?.id || null,
+            agent_name: conv.agent?.name || null,
+            create_time: toIsoString(conv.createTimeUtc),
+            update_time: toIsoString(conv.updateTimeUtc),
+            window_index: i / size,
+            window_count: Math.ceil(turns.length / size),
+            first_message_time: toIsoString(times[0]),
+            last_message_time: toIsoString(times[times.length - 1]),
+          };
+        }
+        lines.push(JSON.stringify(line));
+      }
+    }
+
+    return { jsonl: lines.map((l) => l + "\n").join(""), lineCount: lines.length, dropped };
+  }
+
+  // ── CSV export ────────────────────────────────────────────────────
+
+  /**
+   * Quote a CSV cell.  Text starting with = + - @ (or a tab/CR) gets a
+   * leading apostrophe so spreadsheets show it instead of evaluating it
+   * as a formula.
+   */
+  function csvCell(value) {
+    if (typeof value === "number") return String(value);
+    let text = value == null ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /** Rows to CSV with a UTF-8 BOM and CRLF line ends, as Excel expects. */
+  function toCsv(rows) {
+    return "\uFEFF" + rows.map((row) => row.map(csvCell).join(",") + "\r\n").join("");
+  }
+
+  /** Format a timestamp in the browser's time zone as "YYYY-MM-DD HH:MM:SS". */
+  function toLocalTimestamp(ts) {
+    const seconds = toUnixSeconds(ts);
+    if (!seconds || isNaN(seconds)) return "";
+    const d = new Date(seconds * 1000);
+    const pad = (n) => String(n).padStart(2, "0");
+    return (
+      `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+      `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+    );
+  }
+
+  /**
+   * messages.csv with one row per message and conversations.csv with one
+   * summary row per conversation.
+   */
+  function buildCsvFiles(convs, textMode = getTextMode()) {
+    const messageRows = [[
+      "conversationId", "chatName", "messageId", "requestId", "attempt", "role", "messageType",
+      "createdAt", "createdAtLocal", "contentOrigin", "text",
+    ]];
+    const summaryRows = [[
+      "conversationId", "chatName", "tone", "agent", "agentId", "createdAt", "createdAtLocal", "updatedAt", "updatedAtLocal",
+      "messageCount", "userMessages", "assistantMessages",
+    ]];
+
+    for (const conv of convs) {
+      const attempts = getResponseAttempts(conv.messages);
+      for (const [i, msg] of conv.messages.entries()) {
+        messageRows.push([
+          conv.conversationId,
+          conv.chatName || "",
+          msg.messageId || "",
+          msg.requestId || "",
+          attempts[i] ? `${attempts[i].attempt} of ${attempts[i].of}` : "",
+          isToolMessage(msg) ? "tool" : msg.author === "bot" ? "assistant" : msg.author,
+          msg.messageType || "",
+          toIsoString(msg.createdAt) || "",
+          toLocalTimestamp(msg.createdAt),
+          msg.contentOrigin || "",
+          sanitizeText(getMessageText(msg), textMode) || "",
+        ]);
+      }
+      summaryRows.push([
+        conv.conversationId,
+        conv.chatName || "",
+        conv.tone || "",
+        conv.agent?.name || "",
+        conv.agent?.id || "",
+        toIsoString(conv.createTimeUtc) || "",
+        toLocalTimestamp(conv.createTimeUtc),
+        toIsoString(conv.updateTimeUtc) || "",
+        toLocalTimestamp(conv.updateTimeUtc),
+        conv.messages.length,
+        conv.messages.filter((m) => m.author === "user").length,
+        conv.messages.filter((m) => m.author === "bot" && !isToolMessage(m)).length,
+      ]);
+    }
+
+    return [
+      { name: "messages.csv", data: toCsv(messageRows) },
+      { name: "conversations.csv", data: toCsv(summaryRows) },
+    ];
+  }
+
+  // ── ChatGPT export bundle ─────────────────────────────────────────
+
+  /**
+   * user.json as found in a ChatGPT data export, filled from the page's
+   * #identity data.
+   */
+  function buildUserJson() {
+    let identity = {};
+    try { identity = getIdentity(); } catch { /* export without identity */ }
+    return {
+      id: identity.objectId ? `user-${identity.objectId}` : null,
+      email: identity.upn || identity.userPrincipalName || identity.email || identity.loginName || null,
+      chatgpt_plus_user: false,
+      birth_year: null,
+      phone_number: null,
+    };
+  }
+
+  /**
+   * Serialize data for embedding in an inline <script>: escaping "<" keeps
+   * "</script>" and "<!--" in message text from ending the script early.
+   */
+  function toScriptJson(data) {
+    return JSON.stringify(data)
+      .replace(/</g, "\\u003c")
+      .replace(/\u2028/g, "\\u2028")
+      .replace(/\u2029/g, "\\u2029");
+  }
+
+  /**
+   * chat.html modeled on the one in ChatGPT exports: the conversations
+   * embedded as jsonData and rendered by walking each conversation from
+   * current_node back to the root.
+   */
+  function buildChatHtml(convs) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>ChatGPT Data Export</title>
+<style>
+  body { margin: 20px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+  h4 { margin: 0 0 4px; }
+  .conversation { border-bottom: 1px solid #ddd; padding: 16px 0; }
+  .message { white-space: pre-wrap; margin: 0 0 12px; }
+  .author { font-weight: 600; }
+</style>
+</head>
+<body>
+<div id="root"></div>
+<script>
+var jsonData = ${toScriptJson(convs)};
+
+function getConversationMessages(conversation) {
+  var messages = [];
+  var currentNode = conversation.current_node;
+  while (currentNode != null) {
+    var node = conversation.mapping[currentNode];
+    if (node.message && node.message.content && node.message.content.parts &&
+        node.message.content.parts.length > 0 && node.message.author.role !== "system") {
+      var author = node.message.author.role === "assistant" ? "Copilot" :
+        node.message.author.role === "user" ? "user" : node.message.author.role;
+      var text = node.message.content.parts
+        .map(function (p) { return typeof p === "string" ? p : ""; })
+        .join("\\n");
+      if (text) messages.push({ author: author, text: text });
+    }
+    currentNode = node.parent;
+  }
+  return messages.reverse();
+}
+
+var root = document.getElementById("root");
+jsonData.forEach(function (conversation) {
+  var div = document.createElement("div");
+  div.className = "conversation";
+  var title = document.createElement("h4");
+  title.textContent = conversation.title;
+  div.appendChild(title);
+  getConversationMessages(conversation).forEach(function (message) {
+    var pre = document.createElement("pre");
+    pre.className = "message";
+    var author = document.createElement("div");
+    author.className = "author";
+    author.textContent = message.author;
+    pre.appendChild(author);
+    pre.appendChild(document.createTextNode(message.text));
+    div.appendChild(pre);
+  });
+  root.appendChild(div);
+});
+</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * The files of a ChatGPT data export for the converted conversations,
+   * ready for buildZip().  conversations.json is a bare array there,
+   * unlike the { conversations } object that "Export conversations.json"
+   * writes.
+   */
+  function buildExportBundle(result, user = buildUserJson(), indent = 2) {
+    return [
+      { name: "conversations.json", data: JSON.stringify(result, null, indent) },
+      { name: "chat.html", data: buildChatHtml(result) },
+      { name: "user.json", data: JSON.stringify(user, null, indent) },
+      { name: "message_feedback.json", data: "[]" },
+      { name: "shared_conversations.json", data: "[]" },
+    ];
+  }
+
+  // ── Offline HTML viewer ───────────────────────────────────────────
+
+  const VIEWER_CSS = `
+    * { box-sizing: border-box; }
+    body { margin: 0; display: flex; height: 100vh; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2328; }
+    aside { width: 320px; flex-shrink: 0; display: flex; flex-direction: column; border-right: 1px solid #d0d7de; background: #f6f8fa; }
+    #search { margin: 12px; padding: 8px 10px; border: 1px solid #d0d7de; border-radius: 6px; font: inherit; }
+    #count { padding: 0 12px 8px; font-size: 12px; color: #656d76; }
+    #list { overflow-y: auto; flex: 1; }
+    #list a { display: block; padding: 8px 12px; color: inherit; text-decoration: none; border-bottom: 1px solid #eaeef2; cursor: pointer; }
+    #list a:hover { background: #eaeef2; }
+    #list a.active { background: #ddf4ff; }
+    #list .title { font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    #list .meta { font-size: 12px; color: #656d76; }
+    main { flex: 1; overflow-y: auto; padding: 24px 32px; }
+    main h1 { font-size: 20px; margin: 0 0 4px; }
+    main .meta { color: #656d76; font-size: 12px; margin-bottom: 24px; }
+    .turn { max-width: 860px; margin-bottom: 20px; padding: 12px 16px; border-radius: 8px; background: #f6f8fa; }
+    .turn.user { background: #ddf4ff; }
+    .turn .author { font-weight: 600; font-size: 12px; color: #656d76; margin-bottom: 4px; }
+    .turn pre { background: #1f2328; color: #e6edf3; padding: 10px 12px; border-radius: 6px; overflow-x: auto; }
+    .turn code { font-family: ui-monospace, SFMono-Regular, Consolas, monospace; font-size: 13px; }
+    .turn :not(pre) > code { background: rgba(175, 184, 193, 0.3); padding: 1px 4px; border-radius: 4px; }
+    .turn table { border-collapse: collapse; margin: 8px 0; }
+    .turn th, .turn td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; }
+    .turn blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid #d0d7de; color: #656d76; }
+    .turn p { margin: 0 0 8px; }
+    mark { background: #fff8c5; }
+    .empty { color: #656d76; }
+  `;
+
+  /**
+   * Runs inside the exported viewer page, not in the userscript.  It is
+   * embedded with Function.prototype.toString(), so it must not reference
+   * anything outside its own body.
+   */
+  function viewerMain(data) {
+    const list = document.getElementById("list");
+    const view = document.getElementById("view");
+    const search = document.getElementById("search");
+    const count = document.getElementById("count");
+    let activeIndex = -1;
+
+    const escapeHtml = (s) =>
+      s.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+    const safeHref = (url) => (/^(https?:|mailto:)/i.test(url) ? url : "#");
+    const formatDate = (ts) => (ts ? new Date(ts * 1000).toLocaleString() : "");
+
+    function renderInline(text) {
+      const codes = [];
+      return escapeHtml(text)
+        .replace(/`([^`]+)`/g, (_, code) => `\u0000${codes.push(code) - 1}\u0000`)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (_, alt, url) =>
+          `<a href="${safeHref(url)}" target="_blank" rel="noopener">${alt || url}</a>`)
+        .replace(/\[((?:\[[^\]]*\]|[^\]])+)\]\(([^)\s]+)\)/g, (_, label, url) =>
+          `<a href="${safeHref(url)}" target="_blank" rel="noopener">${label}</a>`)
+        .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+        .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+        .replace(/~~([^~]+)~~/g, "<del>$1</del>")
+        .replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${codes[i]}</code>`);
+    }
+
+    const splitRow = (line) => line.trim().replace(/^\||\|$/g, "").split(/(?<!\\)\|/).map((c) => c.trim());
+    const isBlockStart = (line) =>
+      /^\s*(```|~~~|#{1,6}\s|>|[-*+]\s|\d+[.)]\s)/.test(line) || /^\s*\|.*\|\s*$/.test(line);
+
+    function renderMarkdown(md) {
+      const lines = md.replace(/\r\n?/g, "\n").split("\n");
+      const html = [];
+      let i = 0;
+
+      while (i < lines.length) {
+        const line = lines[i];
+
+        const fence = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+          const code = [];
+          i++;
+          while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+          i++;
+          html.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+          continue;
+        }
+
+        if (!line.trim()) {
+          i++;
+          continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+          const level = Math.min(heading[1].length + 2, 6);
+          html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+          i++;
+          continue;
+        }
+
+        if (/^\s*\|.*\|\s*$/.test(line) && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1] || "")) {
+          const header = splitRow(line);
+          const rows = [];
+          i += 2;
+          while (i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i])) rows.push(splitRow(lines[i++]));
+          html.push(
+            "<table><thead><tr>" + header.map((c) => `<th>${renderInline(c)}</th>`).join("") + "</tr></thead><tbody>" +
+              rows.map((r) => "<tr>" + r.map((c) => `<td>${renderInline(c)}</td>`).join("") + "</tr>").join("") +
+              "</tbody></table>"
+          );
+          continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+          const quoted = [];
+          while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ""));
+          html.push(`<blockquote>${renderMarkdown(quoted.join("\n"))}</blockquote>`);
+          continue;
+        }
+
+        const bullet = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+        if (bullet) {
+          const ordered = /\d/.test(bullet[1]);
+          const items = [];
+          while (i < lines.length) {
+            const item = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+            if (item) items.push(item[2]);
+            else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) items[items.length - 1] += " " + lines[i].trim();
+            else break;
+            i++;
+          }
+          const tag = ordered ? "ol" : "ul";
+          html.push(`<${tag}>` + items.map((it) => `<li>${renderInline(it)}</li>`).join("") + `</${tag}>`);
+          continue;
+        }
+
+        const para = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) para.push(lines[i++]);
+        html.push(`<p>${para.map(renderInline).join("<br>")}</p>`);
+      }
+
+      return html.join("\n");
+    }
+
+    function getMessages(conv) {
+      const messages = [];
+      let nodeId = conv.current_node;
+      while (nodeId && conv.mapping[nodeId]) {
+        const node = conv.mapping[nodeId];
+        const msg = node.message;
+        if (msg && msg.author.role !== "system") {
+          const text = (msg.content.parts || []).filter((p) => typeof p === "string").join("\n");
+          if (text.trim()) messages.push({ role: msg.author.role, text, time: msg.create_time });
+        }
+        nodeId = node.parent;
+      }
+      return messages.reverse();
+    }
+
+    const entries = data.map((conv) => {
+      const messages = getMessages(conv);
+      return {
+        conv,
+        messages,
+        haystack: (conv.title + "\n" + messages.map((m) => m.text).join("\n")).toLowerCase(),
+      };
+    });
+
+    function highlight(root, query) {
+      if (!query) return;
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      const nodes = [];
+      while (walker.nextNode()) nodes.push(walker.currentNode);
+      for (const node of nodes) {
+        const lower = node.nodeValue.toLowerCase();
+        let idx = lower.indexOf(query);
+        if (idx === -1) continue;
+        const frag = document.createDocumentFragment();
+        let last = 0;
+        while (idx !== -1) {
+          frag.appendChild(document.createTextNode(node.nodeValue.slice(last, idx)));
+          const mark = document.createElement("mark");
+          mark.textContent = node.nodeValue.slice(idx, idx + query.length);
+          frag.appendChild(mark);
+          last = idx + query.length;
+          idx = lower.indexOf(query, last);
+        }
+        frag.appendChild(document.createTextNode(node.nodeValue.slice(last)));
+        node.parentNode.replaceChild(frag, node);
+      }
+    }
+
+    function show(index) {
+      activeIndex = index;
+      const { conv, messages } = entries[index];
+      for (const a of list.children) a.classList.toggle("active", Number(a.dataset.index) === index);
+      view.innerHTML =
+        `<h1>${escapeHtml(conv.title || "Copilot Chat")}</h1>` +
+        `<div class="meta">${escapeHtml(formatDate(conv.create_time))} · ${messages.length} messages</div>` +
+        messages
+          .map((m) =>
+            `<div class="turn ${m.role}"><div class="author">${m.role === "user" ? "User" : m.role === "assistant" ? "Copilot" : escapeHtml(m.role)}` +
+              `${m.time ? " · " + escapeHtml(formatDate(m.time)) : ""}</div>${renderMarkdown(m.text)}</div>`)
+          .join("");
+      const query = search.value.trim().toLowerCase();
+      highlight(view, query);
+      const first = view.querySelector("mark");
+      if (first) first.scrollIntoView({ block: "center" });
+      else view.scrollTop = 0;
+    }
+
+    function renderList() {
+      const query = search.value.trim().toLowerCase();
+      list.innerHTML = "";
+      let shown = 0;
+      entries.forEach((entry, index) => {
+        if (query && !entry.haystack.includes(query)) return;
+        shown++;
+        const a = document.createElement("a");
+        a.dataset.index = index;
+        a.className = index === activeIndex ? "active" : "";
+        a.innerHTML =
+          `<div class="title">${escapeHtml(entry.conv.title || "Copilot Chat")}</div>` +
+          `<div class="meta">${escapeHtml(formatDate(entry.conv.create_time))} · ${entry.messages.length} messages</div>`;
+        a.addEventListener("click", () => show(index));
+        list.appendChild(a);
+      });
+      count.textContent = query ? `${shown} of ${entries.length} conversations match` : `${entries.length} conversations`;
+    }
+
+    search.addEventListener("input", () => {
+      renderList();
+      if (activeIndex !== -1) show(activeIndex);
+    });
+    renderList();
+    if (entries.length > 0) show(0);
+  }
+
+  /**
+   * A single self-contained HTML file for browsing converted conversations
+   * offline: conversation list, markdown rendering and full-text search.
+   */
+  function buildViewerHtml(convs) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Copilot Chat Archive</title>
+<style>${VIEWER_CSS}</style>
+</head>
+<body>
+<aside>
+  <input id="search" type="search" placeholder="Search all messages…" autofocus>
+  <div id="count"></div>
+  <nav id="list"></nav>
+</aside>
+<main id="view"><p class="empty">No conversations.</p></main>
+<script>(${viewerMain.toString()})(${toScriptJson(convs)});</script>
+</body>
+</html>
+`;
+  }
+
+  // ── ZIP writer ────────────────────────────────────────────────────
+
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Build an uncompressed (stored) ZIP archive from [{ name, data }] entries,
+   * where data is a string or Uint8Array.  Stored entries keep the writer
+   * tiny and dependency-free; the exported text is small anyway.
+   */
+  function buildZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const nameBytes = encoder.encode(file.name);
+      const data = typeof file.data === "string" ? encoder.encode(file.data) : file.data;
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // local file header signature
+      local.setUint16(4, 20, true); // version needed to extract
+      local.setUint16(6, 0x0800, true); // flags: UTF-8 file names
+      local.setUint16(8, 0, true); // compression: stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true); // extra field length
+      localParts.push(local, nameBytes, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // central directory signature
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true); // version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint16(30, 0, true); // extra field length
+      central.setUint16(32, 0, true); // comment length
+      central.setUint16(34, 0, true); // disk number
+      central.setUint16(36, 0, true); // internal attributes
+      central.setUint32(38, 0, true); // external attributes
+      central.setUint32(42, offset, true);
+      centralParts.push(central, nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((s, p) => s + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: "application/zip" });
+  }
+
+  // ── Download helpers ───────────────────────────────────────────────
+
+  /**
+   * Download file name from the filename template.  Tokens: {type} (e.g.
+   * conversations, markdown), {date} and {time} (UTC), {user} (sign-in
+   * name without the domain), {range} (date range preset, or from_to
+   * for a custom range) and {count} (conversations in the file).
+   * unique adds the time when the template has no {time} token.
+   */
+  function buildFilename(type, ext, count, unique = false) {
+    const now = new Date().toISOString();
+    let template = getSettings().filenameTemplate;
+    if (unique && !template.includes("{time}")) template += "_{time}";
+
+    const tokens = {
+      type,
+      date: now.slice(0, 10),
+      time: now.slice(11, 19).replace(/:/g, "-"),
+      user: (buildUserJson().email || "user").split("@")[0],
+      range: describeRangeToken(),
+      count: String(count ?? ""),
+    };
+    const name = template
+      .replace(/\{(\w+)\}/g, (m, token) => tokens[token] ?? m)
+      .replace(/^[-_.\s]+|[-_.\s]+$/g, "");
+    return `${safeFilename(name, 120)}.${ext}`;
+  }
+
+  function describeRangeToken() {
+    const preset = document.getElementById("copilot-date-range")?.value || "all";
+    if (preset !== "custom") return preset;
+    const from = document.getElementById("copilot-date-from")?.value;
+    const to = document.getElementById("copilot-date-to")?.value;
+    return from || to ? `${from || "start"}_${to || "today"}` : "all";
+  }
+
+  function downloadJson(data, filename) {
+    const jsonStr = getSettings().prettyJson ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+    downloadBlob(new Blob([jsonStr], { type: "application/json" }), filename);
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Conversations with content that exports should include: those matching
+   * the filter and, when chats are ticked in the conversation list, only
+   * the ticked ones.
+   */
+  function getExportConversations(filter) {
+    return Array.from(conversations.values()).filter(
+      (c) =>
+        c.messages &&
+        c.messages.length > 0 &&
+        matchesFilter(c, filter) &&
+        isSelected(c.conversationId)
+    );
+  }
+
+  /**
+   * Gather the conversations for an export and pass them through the
+   * redaction stage.  Returns { convs, originals, redactor }, where
+   * originals are the unredacted records in the same order, or null after
+   * telling the user why there is nothing to export.
+   */
+  function prepareExport() {
+    let filter, redactor;
+    try {
+      filter = getActiveFilter();
+      redactor = createRedactor(getRedactionSettings());
+    } catch (e) {
+      alert(e.message);
+      return null;
+    }
+
+    const selected = getExportConversations(filter);
+    if (selected.length === 0) {
+      alertNothingToExport(filter);
+      return null;
+    }
+
+    const convs = selected.map((c) => redactor.redact(c));
+    setStatus(describeFilter(filter) + (redactor.active ? ` · ${describeRedactions(redactor.counts)}` : ""));
+    return { convs, originals: selected, redactor };
+  }
+
+  function alertNothingToExport(filter) {
+    const filtered = isFilterActive(filter);
+    if (selectedIds.size > 0) {
+      alert(
+        "None of the selected conversations has content" +
+          (filtered ? " matching the filter" : "") +
+          ".\n\nUse Fetch All to load them first."
+      );
+    } else {
+      alert(
+        filtered
+          ? "No conversations with content match the filter.\n\nTry a wider filter or use Fetch All first."
+          : "No conversation content captured yet.\n\n" +
+              'Use "Fetch All Conversations" to load everything first.'
+      );
+    }
+  }
+
+  function doExportConverted() {
+    const prepared = prepareExport();
+    if (!prepared) return;
+
+    const result = buildConversationsJson(prepared.convs);
+    const totalMsgs = prepared.convs.reduce((s, c) => s + c.messages.length, 0);
+
+    downloadJson(
+      { conversations: result },
+      buildFilename("conversations", "json", result.length)
+    );
+
+    console.log(
+      `[Copilot Export] Exported ${result.length} conversations with ${totalMsgs} messages`
+    );
+  }
+
+  async function doExportBundle() {
+    const prepared = prepareExport();
+    if (!prepared) return;
+
+    let assets = null;
+    if (getBundleImages()) {
+      const downloaded = await downloadImages(prepared.originals, (done, total) => {
+        setStatus(`Downloading images ${done}/${total}...`);
+      });
+      assets = downloaded.assets;
+      setStatus(
+        `Bundled ${assets.size} image(s)` +
+          (downloaded.failed > 0 ? `, ${downloaded.failed} could not be downloaded (see console)` : "")
+      );
+    }
+
+    const result = buildConversationsJson(prepared.convs, getTextMode(), assets);
+    const user = prepared.redactor.redact(buildUserJson());
+    const files = buildExportBundle(result, user, getSettings().prettyJson ? 2 : undefined);
+    for (const asset of assets?.values() || []) files.push({ name: asset.fileName, data: asset.data });
+    downloadBlob(
+      buildZip(files),
+      buildFilename("export", "zip", result.length)
+    );
+
+    console.log(`[Copilot Export] Exported bundle with ${result.length} conversations and ${assets?.size || 0} images`);
+  }
+
+  function doExportViewer() {
+    const prepared = prepareExport();
+    if (!prepared) return;
+
+    const result = buildConversationsJson(prepared.convs);
+    downloadBlob(
+      new Blob([buildViewerHtml(result)], { type: "text/html" }),
+      buildFilename("viewer", "html", result.length)
+    );
+
+    console.log(`[Copilot Export] Exported HTML viewer with ${result.length} conversations`);
+  }
+
+  function doExportMarkdown() {
+    const prepared = prepareExport();
+    if (!prepared) return;
+
+    const files = buildMarkdownFiles(prepared.convs);
+    downloadBlob(
+      buildZip(files),
+      buildFilename("markdown", "zip", files.length)
+    );
+
+    console.log(`[Copilot Export] Exported ${files.length} conversations as Markdown`);
+  }
+
+  function doExportJsonl() {
+    const prepared = prepareExport();
+    if (!prepared) return;
+
+    const { jsonl, lineCount, dropped } = buildJsonl(prepared.convs);
+    if (lineCount === 0) {
+      alert("Every selected conversation has an empty Copilot reply, so there is nothing to export.\n\n" +
+        'Turn off "Drop conversations with empty replies" in the JSONL options to include them.');
+      return;
+    }
+    downloadBlob(
+      new Blob([jsonl], { type: "application/jsonl" }),
+      buildFilename("dataset", "jsonl", prepared.convs.length)
+    );
+
+    if (dropped > 0) setStatus(`JSONL: ${lineCount} lines, ${dropped} conversations with empty replies dropped`);
+    console.log(`[Copilot Export] Exported ${lineCount} JSONL lines (${dropped} conversations dropped)`);
+  }
+
+  function doExportCsv() {
+    const prepared = prepareExport();
+    if (!prepared) return;
+
+    downloadBlob(
+      buildZip(buildCsvFiles(prepared.convs)),
+      buildFilename("csv", "zip", prepared.convs.length)
+    );
+
+    console.log(`[Copilot Export] Exported ${prepared.convs.length} conversations as CSV`);
+  }
+
+  /**
+   * Raw captures narrowed to the active filter and selection: GetConversation
+   * responses for matching conversations, and GetChats responses reduced to
+   * matching chats.  Other responses are only kept when nothing is filtered.
+   */
+  function filterRawCaptures(filter) {
+    if (!isFilterActive(filter) && selectedIds.size === 0) return rawCaptures;
+    const matches = (conversationId, fallback) => {
+      const conv = conversations.get(conversationId) || fallback;
+      return isSelected(conversationId) && matchesFilter(conv, filter);
+    };
+
+    const result = [];
+    for (const capture of rawCaptures) {
+      const data = capture.data;
+      if (data?.conversationId) {
+        if (matches(data.conversationId, data)) result.push(capture);
+      } else if (Array.isArray(data?.chats)) {
+        const chats = data.chats.filter((c) => matches(c.conversationId, c));
+        if (chats.length > 0) result.push({ ...capture, data: { ...data, chats } });
+      }
+    }
+    return result;
+  }
+
+  function doExportRaw() {
+    if (rawCaptures.length === 0) {
+      alert("No API responses captured yet.");
+      return;
+    }
+    let filter, redactor;
+    try {
+      filter = getActiveFilter();
+      redactor = createRedactor(getRedactionSettings());
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    const captures = filterRawCaptures(filter);
+    if (captures.length === 0) {
+      alert("No captured API responses match the filter.");
+      return;
+    }
+    const manifest = buildCaptureManifest(captures);
+    manifest.filter = describeFilter(filter);
+    const redacted = redactor.redact({ manifest, captures });
+    setStatus(
+      `${describeFilter(filter)} — ${captures.length} of ${rawCaptures.length} responses` +
+        (redactor.active ? ` · ${describeRedactions(redactor.counts)}` : "")
+    );
+    downloadJson(redacted, buildFilename("raw_capture", "json", captures.length));
+  }
+
+  // ── Import ────────────────────────────────────────────────────────
+
+  /**
+   * Rebuild a conversation record from a ChatGPT-format entry written by
+   * buildConversationsJson, following current_node back to the root.
+   * Earlier attempts at a response on that path (sibling branches with the
+   * same request ID) are kept, in order, before the final one.
+   */
+  function conversationFromChatGpt(entry) {
+    const convId = entry.conversation_id || entry.id;
+    if (!convId || !entry.mapping) return null;
+
+    const path = [];
+    for (let id = entry.current_node; id && entry.mapping[id]; id = entry.mapping[id].parent) path.push(id);
+    const roleOf = (id) => entry.mapping[id]?.message?.author?.role;
+    const requestIdOf = (id) => entry.mapping[id]?.message?.metadata?.copilot_request_id;
+    const isAttemptStep = (id, requestId) => roleOf(id) !== "user" && requestIdOf(id) === requestId;
+    const nodeIds = path.reverse().flatMap((id) => {
+      const node = entry.mapping[id];
+      const requestId = requestIdOf(id);
+      if (!requestId || roleOf(id) === "user" || isAttemptStep(node.parent, requestId)) return [id];
+      const earlier = [];
+      for (const sibling of entry.mapping[node.parent]?.children || []) {
+        if (sibling === id) break;
+        for (let s = sibling; s && isAttemptStep(s, requestId); s = entry.mapping[s].children?.[0]) earlier.push(s);
+      }
+      return [...earlier, id];
+    });
+
+    const messages = [];
+    for (const nodeId of nodeIds) {
+      const msg = entry.mapping[nodeId].message;
+      const role = msg?.author?.role;
+      if (role === "user" || role === "assistant" || role === "tool") {
+        const meta = msg.metadata || {};
+        const sources = (meta.content_references || []).find((r) => r.type === "sources_footnote")?.sources || [];
+        messages.push({
+          author: role === "user" ? "user" : "bot",
+          text: (msg.content?.parts || []).filter((p) => typeof p === "string").join("\n"),
+          messageId: meta.copilot_message_id || msg.id,
+          requestId: meta.copilot_request_id || "",
+          contentOrigin: meta.copilot_app_class || "",
+          createdAt: toIsoString(msg.create_time) || undefined,
+          ...(role === "tool" ? { messageType: meta.copilot_message_type || "InternalSearchResult" } : {}),
+          ...(sources.length > 0
+            ? { sourceAttributions: sources.map((src) => ({ providerDisplayName: src.title, seeMoreUrl: src.url })) }
+            : {}),
+          ...(meta.copilot_adaptive_cards ? { adaptiveCards: meta.copilot_adaptive_cards } : {}),
+          ...(meta.attachments?.some((a) => a.url)
+            ? {
+                attachmentRefs: meta.attachments.filter((a) => a.url).map((a) => ({
+                  source: a.copilot_source || "upload",
+                  kind: (a.mime_type || "").startsWith("image/") ? "image" : "file",
+                  name: a.name || "attachment",
+                  url: a.url,
+                  contentType: a.mime_type || "",
+                })),
+              }
+            : {}),
+        });
+      }
+    }
+    if (messages.length === 0) return null;
+
+    const toMs = (seconds) => (seconds ? Math.round(seconds * 1000) : undefined);
+    const agentMeta = Object.values(entry.mapping).find((n) => n.message?.metadata?.copilot_agent)?.message.metadata.copilot_agent;
+    const agent = entry.gizmo_id ? agentMeta || { id: entry.gizmo_id, name: "", type: "" } : null;
+    return {
+      conversationId: convId,
+      chatName: entry.title === "Copilot Chat" ? "" : entry.title || "",
+      createTimeUtc: toMs(entry.create_time),
+      updateTimeUtc: toMs(entry.update_time),
+      tone: "",
+      isLegacyWebChat: false,
+      syncedUpdateTimeUtc: toMs(entry.update_time),
+      messages,
+      ...(agent ? { agent } : {}),
+    };
+  }
+
+  /**
+   * Store an imported copy unless the one we have is at least as good
+   * (see isBetterCopy).  Returns "added", "updated" or "kept".
+   */
+  function mergeConversation(incoming) {
+    const existing = conversations.get(incoming.conversationId);
+    if (!existing) {
+      saveConversation(incoming);
+      return "added";
+    }
+    if (!isBetterCopy(existing, incoming)) return "kept";
+    saveConversation({ ...existing, ...incoming, tone: incoming.tone || existing.tone });
+    return "updated";
+  }
+
+  /** An incoming copy wins if it was updated later or has more messages. */
+  function isBetterCopy(existing, incoming) {
+    if (existing.messages.length === 0) return true;
+    const newer = (toUnixSeconds(incoming.updateTimeUtc) || 0) > (toUnixSeconds(existing.updateTimeUtc) || 0);
+    return newer || incoming.messages.length > existing.messages.length;
+  }
+
+  /**
+   * Conversation records in a list of raw captures, keeping the best copy
+   * when a conversation was captured more than once.
+   */
+  function conversationsFromCaptures(captures, skipTypes = getSkippedMessageTypes()) {
+    const found = new Map();
+    for (const capture of captures) {
+      if (!capture?.data?.conversationId) continue;
+      const conv = conversationFromResponse(capture.data, skipTypes);
+      const existing = conv && found.get(conv.conversationId);
+      if (conv && (!existing || isBetterCopy(existing, conv))) found.set(conv.conversationId, conv);
+    }
+    return [...found.values()];
+  }
+
+  /**
+   * Import one parsed file: a conversations.json export ({ conversations }
+   * or a bare array, as in the export bundle) or a raw capture export
+   * ({ manifest, captures } or the bare array older versions wrote).
+   */
+  function importData(json, counts) {
+    const convEntries = Array.isArray(json?.conversations)
+      ? json.conversations
+      : Array.isArray(json) && json.some((e) => e?.mapping) ? json : null;
+    const captures = Array.isArray(json?.captures)
+      ? json.captures
+      : Array.isArray(json) && json.some((e) => e?.data) ? json : null;
+
+    if (convEntries) {
+      for (const entry of convEntries) {
+        const conv = conversationFromChatGpt(entry);
+        if (conv) counts[mergeConversation(conv)]++;
+      }
+    } else if (captures) {
+      for (const conv of conversationsFromCaptures(captures)) {
+        counts[mergeConversation(conv)]++;
+      }
+      for (const capture of captures) {
+        const data = capture.data;
+        if (Array.isArray(data?.chats)) {
+          for (const chat of data.chats) {
+            if (!chat.conversationId || conversations.has(chat.conversationId)) continue;
+            saveConversation({
+              conversationId: chat.conversationId,
+              chatName: chat.chatName || "",
+              createTimeUtc: chat.createTimeUtc,
+              updateTimeUtc: chat.updateTimeUtc,
+              tone: chat.tone || "",
+              isLegacyWebChat: chat.isLegacyWebChat || false,
+              messages: [],
+            });
+            counts.listed++;
+          }
+        }
+      }
+    } else {
+      throw new Error("not a conversations.json or raw capture export");
+    }
+  }
+
+  async function doImport(files) {
+    const counts = { added: 0, updated: 0, kept: 0, listed: 0 };
+    const errors = [];
+    for (const file of files) {
+      try {
+        importData(JSON.parse(await file.text()), counts);
+      } catch (e) {
+        errors.push(`${file.name}: ${e.message}`);
+      }
+    }
+
+    updateBadge();
+    setStatus(
+      `Imported ${files.length - errors.length} file(s): ${counts.added} added, ${counts.updated} updated, ` +
+        `${counts.kept} kept existing` +
+        (counts.listed > 0 ? `, ${counts.listed} listed without content` : "")
+    );
+    if (errors.length > 0) alert(`Some files could not be imported:\n\n${errors.join("\n")}`);
+    console.log("[Copilot Export] Import:", counts, errors);
+  }
+
+  // ── Collapsible sections ──────────────────────────────────────────
+
+  /**
+   * Make a "Label ▸" button show and hide its panel.  openLabel replaces
+   * the label while the panel is open; onOpen runs each time it opens.
+   */
+  function initCollapsible(toggleId, panelId, label, { openLabel = label, onOpen } = {}) {
+    const toggle = document.getElementById(toggleId);
+    const panel = document.getElementById(panelId);
+    toggle.addEventListener("click", () => {
+      panel.hidden = !panel.hidden;
+      toggle.textContent = panel.hidden ? `${label} ▸` : `${openLabel} ▾`;
+      if (!panel.hidden) onOpen?.();
+    });
+    return panel;
+  }
+
+  // ── Conversation browser ──────────────────────────────────────────
+
+  function isSelected(conversationId) {
+    return selectedIds.size === 0 || selectedIds.has(conversationId);
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+    );
+  }
+
+  function getListTitle(conv) {
+    return (
+      conv.chatName ||
+      (conv.messages.find((m) => m.author === "user" && m.text)?.text || "").substring(0, 100).trim() ||
+      "Untitled chat"
+    );
+  }
+
+  let listRenderTimer = null;
+
+  /**
+   * Re-render the conversation list if it is open, at most every 300 ms so
+   * a running Fetch All does not rebuild it for every conversation.
+   */
+  function scheduleListRender() {
+    const browser = document.getElementById("copilot-conv-browser");
+    if (!browser || browser.hidden || listRenderTimer) return;
+    listRenderTimer = setTimeout(() => {
+      listRenderTimer = null;
+      renderConversationList();
+    }, 300);
+  }
+
+  function getVisibleListConversations() {
+    const query = (document.getElementById("copilot-conv-filter")?.value || "").trim().toLowerCase();
+    return Array.from(conversations.values())
+      .filter((c) => !query || getListTitle(c).toLowerCase().includes(query))
+      .sort((a, b) => (toUnixSeconds(b.updateTimeUtc) || 0) - (toUnixSeconds(a.updateTimeUtc) || 0));
+  }
+
+  function renderConversationList() {
+    const list = document.getElementById("copilot-conv-list");
+    if (!list) return;
+    const visible = getVisibleListConversations();
+
+    list.innerHTML = visible
+      .map((c) => {
+        const date = (toIsoString(c.updateTimeUtc || c.createTimeUtc) || "").slice(0, 10);
+        const state = c.messages.length > 0
+          ? `${c.messages.length} msgs`
+          : '<span class="pending">pending</span>';
+        return (
+          `<label class="conv-row" title="${escapeHtml(getListTitle(c))}">` +
+          `<input type="checkbox" data-id="${escapeHtml(c.conversationId)}"${selectedIds.has(c.conversationId) ? " checked" : ""}>` +
+          `<span class="conv-title">${escapeHtml(getListTitle(c))}</span>` +
+          `<span class="conv-meta">${date} · ${state}</span>` +
+          "</label>"
+        );
+      })
+      .join("") || '<div class="conv-empty">No conversations</div>';
+
+    const selectAll = document.getElementById("copilot-conv-all");
+    const checkedVisible = visible.filter((c) => selectedIds.has(c.conversationId)).length;
+    selectAll.checked = visible.length > 0 && checkedVisible === visible.length;
+    selectAll.indeterminate = checkedVisible > 0 && checkedVisible < visible.length;
+
+    document.getElementById("copilot-conv-summary").textContent =
+      selectedIds.size > 0
+        ? `${selectedIds.size} selected — exports and Fetch All use only these`
+        : "None selected — exports and Fetch All use all conversations";
+  }
+
+  function initConversationBrowser() {
+    initCollapsible("copilot-btn-browse", "copilot-conv-browser", "Show conversations", {
+      openLabel: "Hide conversations",
+      onOpen: renderConversationList,
+    });
+
+    document.getElementById("copilot-conv-filter").addEventListener("input", renderConversationList);
+
+    document.getElementById("copilot-conv-all").addEventListener("change", (e) => {
+      for (const c of getVisibleListConversations()) {
+        if (e.target.checked) selectedIds.add(c.conversationId);
+        else selectedIds.delete(c.conversationId);
+      }
+      renderConversationList();
+    });
+
+    document.getElementById("copilot-conv-list").addEventListener("change", (e) => {
+      const id = e.target.dataset?.id;
+      if (!id) return;
+      if (e.target.checked) selectedIds.add(id);
+      else selectedIds.delete(id);
+      renderConversationList();
+    });
+
+    document.getElementById("copilot-conv-clear").addEventListener("click", () => {
+      selectedIds.clear();
+      renderConversationList();
+    });
+  }
+
+  // ── Redaction controls ────────────────────────────────────────────
+
+  function readRedactionControls() {
+    const builtIn = {};
+    for (const box of document.querySelectorAll("#copilot-redaction [data-rule]")) {
+      builtIn[box.dataset.rule] = box.checked;
+    }
+    return {
+      enabled: document.getElementById("copilot-redact-enabled").checked,
+      builtIn,
+      custom: document.getElementById("copilot-redact-custom").value,
+    };
+  }
+
+  /**
+   * Count what the current redaction rules would replace in the current
+   * export selection and raw captures, without exporting anything.
+   */
+  function doPreviewRedaction() {
+    let filter, redactor;
+    try {
+      filter = getActiveFilter();
+      redactor = createRedactor({ ...readRedactionControls(), enabled: true });
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    const convs = getExportConversations(filter);
+    redactor.redact(convs);
+    redactor.redact(filterRawCaptures(filter));
+
+    const summary = describeRedactions(redactor.counts);
+    setStatus(`Preview: ${summary} in ${convs.length} conversations and their raw captures`);
+    console.log("[Copilot Export] Redaction preview:", redactor.counts);
+  }
+
+  function initRedactionControls() {
+    const panel = initCollapsible("copilot-btn-redaction", "copilot-redaction", "Redaction");
+
+    const settings = getRedactionSettings();
+    document.getElementById("copilot-redact-enabled").checked = settings.enabled;
+    for (const box of panel.querySelectorAll("[data-rule]")) {
+      box.checked = settings.builtIn[box.dataset.rule];
+    }
+    document.getElementById("copilot-redact-custom").value = settings.custom;
+
+    panel.addEventListener("change", () => {
+      const updated = readRedactionControls();
+      saveRedactionSettings(updated);
+      try {
+        parseCustomRedactions(updated.custom);
+        setStatus(updated.enabled ? "Redaction on for all exports" : "Redaction off");
+      } catch (e) {
+        setStatus(e.message);
+      }
+    });
+    document.getElementById("copilot-btn-redact-preview").addEventListener("click", doPreviewRedaction);
+  }
+
+  // ── Raw capture controls ──────────────────────────────────────────
+
+  function updateCaptureUsage() {
+    const el = document.getElementById("copilot-capture-usage");
+    if (!el) return;
+    const bytes = rawCaptures.reduce((sum, c) => sum + (c.byteLength || 0), 0);
+    el.textContent = `${rawCaptures.length} captures, ${(bytes / 1024 / 1024).toFixed(1)} MB stored`;
+  }
+
+  function initCaptureControls() {
+    const panel = initCollapsible("copilot-btn-capture-settings", "copilot-capture-settings", "Raw capture settings", {
+      onOpen: updateCaptureUsage,
+    });
+
+    const settings = getRawCaptureSettings();
+    const maxCount = document.getElementById("copilot-capture-max-count");
+    const maxMB = document.getElementById("copilot-capture-max-mb");
+    const endpoints = document.getElementById("copilot-capture-endpoints");
+    maxCount.value = settings.maxCount;
+    maxMB.value = settings.maxMB;
+    endpoints.value = settings.endpoints;
+
+    panel.addEventListener("change", () => {
+      const updated = {
+        maxCount: parseInt(maxCount.value, 10) || settings.maxCount,
+        maxMB: parseFloat(maxMB.value) || settings.maxMB,
+        endpoints: endpoints.value.trim(),
+      };
+      saveRawCaptureSettings(updated);
+      enforceCaptureLimits(updated);
+      updateCaptureUsage();
+    });
+  }
+
+  // ── JSONL controls ────────────────────────────────────────────────
+
+  function initJsonlControls() {
+    const panel = initCollapsible("copilot-btn-jsonl-settings", "copilot-jsonl-settings", "JSONL options");
+
+    const settings = getJsonlSettings();
+    const windowTurns = document.getElementById("copilot-jsonl-window");
+    const dropEmpty = document.getElementById("copilot-jsonl-drop-empty");
+    const metadata = document.getElementById("copilot-jsonl-metadata");
+    windowTurns.value = settings.windowTurns || "";
+    dropEmpty.checked = settings.dropEmptyAssistant;
+    metadata.checked = settings.includeMetadata;
+
+    panel.addEventListener("change", () => {
+      saveJsonlSettings({
+        windowTurns: parseInt(windowTurns.value, 10) || 0,
+        dropEmptyAssistant: dropEmpty.checked,
+        includeMetadata: metadata.checked,
+      });
+    });
+  }
 
-        mapping[prevId].children.push(nodeId);
-        prevId = nodeId;
-      }
+  // ── Message type controls ─────────────────────────────────────────
 
-      output.push({
-        title: title || "Copilot Chat",
-        create_time: firstTs,
-        update_time: lastTs,
-        mapping,
-        moderation_results: [],
-        current_node: prevId,
-        plugin_ids: null,
-        conversation_id: convId,
-        conversation_template_id: null,
-        gizmo_id: null,
-        gizmo_type: null,
-        is_archived: false,
-        is_starred: null,
-        safe_urls: [],
-        blocked_urls: [],
-        default_model_slug: "copilot",
-        conversation_origin: null,
-        is_read_only: null,
-        voice: null,
-        async_status: null,
-        disabled_tool_ids: [],
-        is_do_not_remember: false,
-        memory_scope: null,
-        context_scopes: null,
-        sugar_item_id: null,
-        sugar_item_visible: false,
-        pinned_time: null,
-        is_study_mode: false,
-        owner: null,
-        id: convId,
+  function initMessageTypeControls() {
+    const panel = initCollapsible("copilot-btn-message-types", "copilot-message-types", "Message types");
+
+    const settings = getMessageTypeSettings();
+    const keepGrounding = document.getElementById("copilot-keep-grounding");
+    const skipTypes = document.getElementById("copilot-skip-types");
+    keepGrounding.checked = settings.keepGrounding;
+    skipTypes.value = settings.skipTypes ?? Array.from(SKIP_MESSAGE_TYPES).join(", ");
+
+    panel.addEventListener("change", () => {
+      const before = Array.from(getSkippedMessageTypes()).sort().join();
+      const list = skipTypes.value.split(/[\s,]+/).filter(Boolean).join(", ");
+      saveMessageTypeSettings({
+        keepGrounding: keepGrounding.checked,
+        skipTypes: list === Array.from(SKIP_MESSAGE_TYPES).join(", ") ? null : list,
       });
+      if (Array.from(getSkippedMessageTypes()).sort().join() !== before) markAllForRefetch();
+    });
+  }
+
+  /**
+   * Skipped message types are dropped when a conversation is captured, so
+   * conversations already stored must be fetched again to pick up a change.
+   */
+  function markAllForRefetch() {
+    let marked = 0;
+    for (const conv of conversations.values()) {
+      if (conv.messages.length === 0 || conv.syncedUpdateTimeUtc === 0) continue;
+      saveConversation({ ...conv, syncedUpdateTimeUtc: 0 });
+      marked++;
     }
+    if (marked > 0) setStatus(`Fetch All will refetch ${marked} conversations with the new message types`);
+  }
 
-    output.sort((a, b) => (b.create_time || 0) - (a.create_time || 0));
-    return output;
+  // ── Backup controls ───────────────────────────────────────────────
+
+  function updateBackupInfo() {
+    const info = document.getElementById("copilot-backup-info");
+    if (!info) return;
+    const state = getBackupState();
+    const parts = [
+      state.lastBackupAt ? `Last backup ${new Date(state.lastBackupAt).toLocaleString()}` : "No backup yet",
+    ];
+    if (state.lastRunAt && state.lastRunAt !== state.lastBackupAt) {
+      parts.push(`last run ${new Date(state.lastRunAt).toLocaleTimeString()}: ${state.lastResult}`);
+    }
+    if (backupPostponedBy) parts.push(`waiting until ${backupPostponedBy}`);
+    if (nextBackupAt !== null) {
+      parts.push(`next in ${formatDuration(Math.max(0, (nextBackupAt - Date.now()) / 1000))}`);
+    } else if (isFetchingAll) {
+      parts.push("running now");
+    }
+    info.textContent = parts.join(" · ");
+    info.hidden = !getBackupSettings().enabled;
   }
 
-  // ── Download helpers ───────────────────────────────────────────────
+  function initBackupControls() {
+    const panel = initCollapsible("copilot-btn-backup", "copilot-backup", "Automatic backup");
 
-  function downloadJson(data, filename) {
-    const jsonStr = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonStr], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+    const settings = getBackupSettings();
+    const enabled = document.getElementById("copilot-backup-enabled");
+    const schedule = document.getElementById("copilot-backup-schedule");
+    const hours = document.getElementById("copilot-backup-hours");
+    const time = document.getElementById("copilot-backup-time");
+    const download = document.getElementById("copilot-backup-download");
+    enabled.checked = settings.enabled;
+    schedule.value = settings.schedule;
+    hours.value = settings.intervalHours;
+    time.value = settings.dailyTime;
+    download.value = settings.download;
+
+    const showSchedule = () => {
+      hours.closest("label").hidden = schedule.value !== "interval";
+      time.closest("label").hidden = schedule.value !== "daily";
+    };
+    showSchedule();
+
+    panel.addEventListener("change", () => {
+      saveBackupSettings({
+        enabled: enabled.checked,
+        schedule: schedule.value,
+        intervalHours: parseFloat(hours.value) || settings.intervalHours,
+        dailyTime: time.value || settings.dailyTime,
+        download: download.value,
+      });
+      showSchedule();
+      scheduleBackup();
+    });
+
+    scheduleBackup();
   }
 
-  function doExportConverted() {
-    const range = getDateRange();
-    const withMessages = Array.from(conversations.values()).filter(
-      (c) => c.messages && c.messages.length > 0 && isInDateRange(c, range)
+  // ── Settings controls ─────────────────────────────────────────────
+
+  /** localStorage keys saved by "Export settings" (not the backup history). */
+  function getSharedSettingKeys() {
+    return [
+      SETTINGS_KEY,
+      CONCURRENCY_KEY,
+      TEXT_MODE_KEY,
+      REDACTION_KEY,
+      RAW_CAPTURE_KEY,
+      JSONL_KEY,
+      BUNDLE_IMAGES_KEY,
+      MESSAGE_TYPES_KEY,
+      BACKUP_KEY,
+    ];
+  }
+
+  /**
+   * Every exporter setting in one file to share with a team.  Unset keys
+   * are written as null so importing them restores the default.
+   */
+  function doExportSettings() {
+    const settings = {};
+    for (const key of getSharedSettingKeys()) {
+      const raw = localStorage.getItem(key);
+      try { settings[key] = JSON.parse(raw); } catch { settings[key] = raw; }
+    }
+    downloadJson(
+      { exporter: "M365 Copilot Chat Exporter", version: 1, exportedAt: new Date().toISOString(), settings },
+      buildFilename("settings", "json")
     );
+  }
 
-    if (withMessages.length === 0) {
-      alert(
-        range
-          ? "No conversations with content in the selected date range.\n\nTry a wider date range or use Fetch All first."
-          : "No conversation content captured yet.\n\n" +
-              'Use "Fetch All Conversations" to load everything first.'
-      );
+  async function doImportSettings(file) {
+    let settings;
+    try {
+      settings = JSON.parse(await file.text()).settings;
+    } catch (e) {
+      alert(`${file.name}: ${e.message}`);
       return;
     }
+    if (!settings || typeof settings !== "object") {
+      alert(`${file.name} is not an exported settings file.`);
+      return;
+    }
+
+    let count = 0;
+    for (const key of getSharedSettingKeys()) {
+      if (!(key in settings)) continue;
+      const value = settings[key];
+      if (value === null) localStorage.removeItem(key);
+      else localStorage.setItem(key, typeof value === "string" ? value : JSON.stringify(value));
+      count++;
+    }
+    console.log(`[Copilot Export] Imported ${count} settings from ${file.name}`);
+    if (confirm(`Imported ${count} settings from ${file.name}.\n\nReload the page to apply them?`)) {
+      location.reload();
+    }
+  }
 
-    const result = buildConversationsJson(range);
-    const totalMsgs = withMessages.reduce((s, c) => s + c.messages.length, 0);
+  function initSettingsControls() {
+    const panel = initCollapsible("copilot-btn-settings", "copilot-settings", "Settings");
 
-    downloadJson(
-      { conversations: result },
-      `copilot_conversations_${new Date().toISOString().slice(0, 10)}.json`
-    );
+    const settings = getSettings();
+    const pageSize = document.getElementById("copilot-set-page-size");
+    const delay = document.getElementById("copilot-set-delay");
+    const datePreset = document.getElementById("copilot-set-date-preset");
+    const template = document.getElementById("copilot-set-filename");
+    const pretty = document.getElementById("copilot-set-pretty");
+    pageSize.value = settings.pageSize;
+    delay.value = settings.requestDelayMs;
+    datePreset.value = settings.datePreset;
+    template.value = settings.filenameTemplate;
+    pretty.checked = settings.prettyJson;
 
-    console.log(
-      `[Copilot Export] Exported ${result.length} conversations with ${totalMsgs} messages`
-    );
+    const concurrency = document.getElementById("copilot-concurrency");
+    concurrency.value = String(getConcurrency());
+    concurrency.addEventListener("change", (e) => {
+      localStorage.setItem(CONCURRENCY_KEY, e.target.value);
+    });
+
+    panel.addEventListener("change", (e) => {
+      if (e.target === concurrency || e.target.type === "file") return;
+      const delayMs = parseInt(delay.value, 10);
+      saveSettings({
+        pageSize: parseInt(pageSize.value, 10) || settings.pageSize,
+        requestDelayMs: delayMs >= 0 ? delayMs : settings.requestDelayMs,
+        datePreset: datePreset.value,
+        filenameTemplate: template.value.trim() || DEFAULT_FILENAME_TEMPLATE,
+        prettyJson: pretty.checked,
+      });
+    });
+
+    const importFile = document.getElementById("copilot-settings-file");
+    document.getElementById("copilot-btn-settings-export").addEventListener("click", doExportSettings);
+    document.getElementById("copilot-btn-settings-import").addEventListener("click", () => importFile.click());
+    importFile.addEventListener("change", async () => {
+      if (importFile.files.length > 0) await doImportSettings(importFile.files[0]);
+      importFile.value = "";
+    });
   }
 
-  function doExportRaw() {
-    if (rawCaptures.length === 0) {
-      alert("No API responses captured yet.");
-      return;
+  // ── Filter controls ───────────────────────────────────────────────
+
+  function populateToneOptions() {
+    const select = document.getElementById("copilot-filter-tone");
+    const tones = new Set(Array.from(conversations.values(), (c) => c.tone).filter(Boolean));
+    const current = select.value;
+    select.innerHTML =
+      '<option value="">Any tone</option>' +
+      Array.from(tones).sort().map((t) => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join("");
+    select.value = tones.has(current) ? current : "";
+  }
+
+  function populateAgentOptions() {
+    const select = document.getElementById("copilot-filter-agent");
+    const agents = new Map();
+    for (const conv of conversations.values()) {
+      if (conv.agent) agents.set(conv.agent.id, conv.agent.name || conv.agent.id);
     }
-    downloadJson(
-      rawCaptures,
-      `copilot_raw_capture_${new Date().toISOString().slice(0, 10)}.json`
-    );
+    const current = select.value;
+    select.innerHTML =
+      '<option value="">Any agent</option>' +
+      `<option value="${NO_AGENT}">No agent (Copilot)</option>` +
+      Array.from(agents)
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`)
+        .join("");
+    select.value = current === NO_AGENT || agents.has(current) ? current : "";
+  }
+
+  /**
+   * Show the active filter (or why it is invalid) in the status line.
+   */
+  function showFilterStatus() {
+    const titleInput = document.getElementById("copilot-filter-title");
+    try {
+      setStatus(describeFilter(getActiveFilter()));
+      titleInput.classList.remove("invalid");
+    } catch (e) {
+      setStatus(e.message);
+      titleInput.classList.add("invalid");
+    }
+  }
+
+  function initFilterControls() {
+    const panel = initCollapsible("copilot-btn-filters", "copilot-filters", "More filters", {
+      openLabel: "Fewer filters",
+      onOpen: () => {
+        populateToneOptions();
+        populateAgentOptions();
+      },
+    });
+    document.getElementById("copilot-filter-tone").addEventListener("focus", populateToneOptions);
+    document.getElementById("copilot-filter-agent").addEventListener("focus", populateAgentOptions);
+
+    for (const id of ["copilot-date-range", "copilot-date-from", "copilot-date-to", "copilot-filters"]) {
+      document.getElementById(id).addEventListener("change", showFilterStatus);
+    }
+    panel.addEventListener("input", showFilterStatus);
   }
 
   // ── Floating UI ───────────────────────────────────────────────────
@@ -699,6 +4239,40 @@
       if (pending > 0) text += ` (${pending} not yet loaded)`;
       badge.textContent = text;
     }
+    scheduleListRender();
+  }
+
+  function updateFetchControls() {
+    const show = (id, visible) => {
+      const el = document.getElementById(id);
+      if (el) el.hidden = !visible;
+    };
+    const fetchAllBtn = document.getElementById("copilot-btn-fetchall");
+    if (fetchAllBtn) {
+      fetchAllBtn.disabled = isFetchingAll;
+      fetchAllBtn.textContent = isFetchingAll ? "Fetching..." : "Fetch All Conversations";
+    }
+    show("copilot-fetch-controls", isFetchingAll);
+    const pauseBtn = document.getElementById("copilot-btn-pause");
+    if (pauseBtn) {
+      pauseBtn.textContent = fetchControl.paused ? "Resume" : "Pause";
+      pauseBtn.disabled = fetchControl.cancelled;
+    }
+    const cancelBtn = document.getElementById("copilot-btn-cancel");
+    if (cancelBtn) cancelBtn.disabled = fetchControl.cancelled;
+
+    show("copilot-btn-resume", !isFetchingAll && !!pendingCheckpoint);
+    const resumeBtn = document.getElementById("copilot-btn-resume");
+    if (resumeBtn && pendingCheckpoint) {
+      resumeBtn.textContent =
+        pendingCheckpoint.phase === "fetch"
+          ? `Resume previous fetch (${pendingCheckpoint.done.length}/${pendingCheckpoint.queue.length})`
+          : "Resume previous fetch (listing chats)";
+    }
+
+    show("copilot-btn-retry", !isFetchingAll && lastFailures.length > 0);
+    const retryBtn = document.getElementById("copilot-btn-retry");
+    if (retryBtn) retryBtn.textContent = `Retry failed only (${lastFailures.length})`;
   }
 
   function createUI() {
@@ -765,6 +4339,9 @@
           padding: 12px 16px;
           box-shadow: 0 4px 20px rgba(0,0,0,0.4);
           min-width: 260px;
+          box-sizing: border-box;
+          max-height: calc(100vh - 32px);
+          overflow-y: auto;
         }
         #copilot-export-panel .title {
           font-weight: 600;
@@ -829,6 +4406,7 @@
           display: block;
           margin-bottom: 3px;
         }
+        #copilot-export-panel .option select,
         #copilot-date-row select,
         #copilot-date-row input[type="date"] {
           background: #16213e;
@@ -854,11 +4432,192 @@
           flex: 1;
           min-width: 0;
         }
+        #copilot-export-panel [hidden] {
+          display: none !important;
+        }
+        #copilot-export-panel .button-row {
+          display: flex;
+          gap: 6px;
+        }
+        #copilot-export-panel .button-row button {
+          flex: 1;
+        }
+        #copilot-filters {
+          margin-bottom: 8px;
+        }
+        #copilot-filters label {
+          display: block;
+          font-size: 11px;
+          color: #aaa;
+        }
+        #copilot-filters input,
+        #copilot-filters select,
+        #copilot-backup select,
+        #copilot-settings select {
+          display: block;
+          width: 100%;
+          min-width: 0;
+          box-sizing: border-box;
+          margin: 3px 0 5px;
+          background: #16213e;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 4px;
+          padding: 4px 6px;
+          font-size: 12px;
+          font-family: inherit;
+        }
+        #copilot-filters input:invalid,
+        #copilot-filters input.invalid {
+          border-color: #ff5555;
+        }
+        #copilot-redaction {
+          margin-bottom: 8px;
+        }
+        #copilot-redaction .redact-rules {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 2px 8px;
+          font-size: 11px;
+          color: #aaa;
+          margin-bottom: 6px;
+        }
+        #copilot-redact-custom,
+        #copilot-skip-types {
+          display: block;
+          width: 100%;
+          box-sizing: border-box;
+          margin-bottom: 6px;
+          background: #16213e;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 4px;
+          padding: 4px 6px;
+          font-size: 11px;
+          font-family: ui-monospace, SFMono-Regular, Consolas, monospace;
+          resize: vertical;
+        }
+        #copilot-capture-settings,
+        #copilot-jsonl-settings,
+        #copilot-message-types,
+        #copilot-backup,
+        #copilot-settings {
+          margin-bottom: 8px;
+        }
+        #copilot-capture-settings label,
+        #copilot-jsonl-settings label,
+        #copilot-message-types label,
+        #copilot-backup label,
+        #copilot-settings label {
+          display: block;
+          flex: 1;
+          font-size: 11px;
+          color: #aaa;
+        }
+        #copilot-capture-settings input,
+        #copilot-jsonl-settings input[type="number"],
+        #copilot-backup input[type="number"],
+        #copilot-backup input[type="time"],
+        #copilot-settings input[type="number"],
+        #copilot-settings input[type="text"] {
+          display: block;
+          width: 100%;
+          box-sizing: border-box;
+          margin: 3px 0 5px;
+          background: #16213e;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 4px;
+          padding: 4px 6px;
+          font-size: 12px;
+          font-family: inherit;
+        }
+        #copilot-conv-browser {
+          margin-bottom: 8px;
+        }
+        #copilot-conv-filter {
+          width: 100%;
+          box-sizing: border-box;
+          background: #16213e;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 4px;
+          padding: 4px 6px;
+          font-size: 12px;
+          font-family: inherit;
+        }
+        #copilot-conv-browser .conv-toolbar {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          font-size: 11px;
+          color: #aaa;
+          margin: 4px 0;
+        }
+        #copilot-conv-browser .conv-toolbar button {
+          display: inline;
+          width: auto;
+          margin: 0;
+          padding: 0;
+          border: none;
+          background: none;
+          color: #9d8aff;
+          font-size: 11px;
+        }
+        #copilot-conv-list {
+          max-height: 220px;
+          max-width: 320px;
+          overflow-y: auto;
+          border: 1px solid #333;
+          border-radius: 4px;
+        }
+        #copilot-conv-list .conv-row {
+          display: grid;
+          grid-template-columns: auto 1fr;
+          column-gap: 6px;
+          padding: 4px 6px;
+          border-bottom: 1px solid #222;
+          cursor: pointer;
+        }
+        #copilot-conv-list .conv-row:hover {
+          background: #16213e;
+        }
+        #copilot-conv-list .conv-row input {
+          grid-row: span 2;
+          margin: 2px 0 0;
+        }
+        #copilot-conv-list .conv-title {
+          font-size: 12px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        #copilot-conv-list .conv-meta {
+          font-size: 11px;
+          color: #888;
+        }
+        #copilot-conv-list .pending {
+          color: #ffb86c;
+        }
+        #copilot-conv-list .conv-empty {
+          padding: 6px;
+          font-size: 11px;
+          color: #666;
+        }
+        #copilot-export-panel .option {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 11px;
+          color: #aaa;
+          margin-bottom: 8px;
+          cursor: pointer;
+        }
       </style>
       <div id="copilot-export-icon" title="Open Copilot Exporter">📥</div>
       <div id="copilot-export-panel">
         <div id="copilot-export-title-row">
-          <div class="title">Copilot Chat Exporter v4.4</div>
+          <div class="title">Copilot Chat Exporter v5.0</div>
           <button id="copilot-export-minimize-btn" title="Minimize" style="width:30px">−</button>
         </div>
         <div id="copilot-export-badge">Waiting for data...</div>
@@ -878,23 +4637,196 @@
             <input type="date" id="copilot-date-to" title="To date">
           </div>
         </div>
+        <button id="copilot-btn-filters">More filters ▸</button>
+        <div id="copilot-filters" hidden>
+          <label>Date range applies to
+            <select id="copilot-filter-date-field">
+              <option value="created">Created time</option>
+              <option value="updated">Last updated time</option>
+            </select>
+          </label>
+          <input type="search" id="copilot-filter-keyword" placeholder="Keyword in messages">
+          <input type="text" id="copilot-filter-title" placeholder="Title regex, e.g. ^Project|budget">
+          <div class="button-row">
+            <input type="number" id="copilot-filter-min" min="0" placeholder="Min msgs">
+            <input type="number" id="copilot-filter-max" min="0" placeholder="Max msgs">
+          </div>
+          <select id="copilot-filter-tone">
+            <option value="">Any tone</option>
+          </select>
+          <select id="copilot-filter-agent">
+            <option value="">Any agent</option>
+          </select>
+        </div>
+        <button id="copilot-btn-redaction">Redaction ▸</button>
+        <div id="copilot-redaction" hidden>
+          <label class="option"><input type="checkbox" id="copilot-redact-enabled"> Redact sensitive data in exports</label>
+          <div class="redact-rules">
+            ${BUILT_IN_REDACTIONS.map((r) => `<label><input type="checkbox" data-rule="${r.id}"> ${r.label}</label>`).join("")}
+          </div>
+          <textarea id="copilot-redact-custom" rows="3" placeholder="Custom rules, one per line:&#10;Contoso => [CUSTOMER]&#10;/PRJ-\\d+/ => [PROJECT]"></textarea>
+          <button id="copilot-btn-redact-preview">Preview redaction</button>
+        </div>
+        <button id="copilot-btn-browse">Show conversations ▸</button>
+        <div id="copilot-conv-browser" hidden>
+          <input type="search" id="copilot-conv-filter" placeholder="Filter by title...">
+          <div class="conv-toolbar">
+            <label><input type="checkbox" id="copilot-conv-all"> Select all shown</label>
+            <button id="copilot-conv-clear">Clear selection</button>
+          </div>
+          <div id="copilot-conv-list"></div>
+          <div id="copilot-conv-summary" class="hint"></div>
+        </div>
+        <label class="option" title="Replace line breaks and tabs with spaces, as versions up to 4.4 did">
+          <input type="checkbox" id="copilot-legacy-text"> Flatten line breaks (legacy)
+        </label>
         <button id="copilot-btn-fetchall" class="primary">Fetch All Conversations</button>
+        <div id="copilot-fetch-controls" class="button-row" hidden>
+          <button id="copilot-btn-pause">Pause</button>
+          <button id="copilot-btn-cancel">Cancel</button>
+        </div>
+        <button id="copilot-btn-resume" hidden>Resume previous fetch</button>
+        <button id="copilot-btn-retry" hidden>Retry failed only</button>
         <button id="copilot-btn-export">Export conversations.json</button>
+        <button id="copilot-btn-bundle">Download export bundle (.zip)</button>
+        <label class="option" title="Download generated and uploaded images and add them to the export bundle">
+          <input type="checkbox" id="copilot-bundle-images"> Include images in bundle
+        </label>
+        <button id="copilot-btn-markdown">Export Markdown (.zip)</button>
+        <button id="copilot-btn-viewer">Export offline HTML viewer</button>
+        <button id="copilot-btn-csv">Export CSV for spreadsheets (.zip)</button>
+        <button id="copilot-btn-jsonl">Export JSONL dataset</button>
+        <button id="copilot-btn-jsonl-settings">JSONL options ▸</button>
+        <div id="copilot-jsonl-settings" hidden>
+          <label>Turns per line (empty = whole conversation)
+            <input type="number" id="copilot-jsonl-window" min="1" placeholder="Whole conversation">
+          </label>
+          <label class="option"><input type="checkbox" id="copilot-jsonl-drop-empty"> Drop conversations with empty replies</label>
+          <label class="option"><input type="checkbox" id="copilot-jsonl-metadata"> Add conversation ID and timestamps</label>
+        </div>
         <button id="copilot-btn-raw">Export raw API captures</button>
+        <button id="copilot-btn-import">Import…</button>
+        <input type="file" id="copilot-import-file" accept=".json,application/json" multiple hidden>
+        <button id="copilot-btn-capture-settings">Raw capture settings ▸</button>
+        <div id="copilot-capture-settings" hidden>
+          <div class="button-row">
+            <label>Max captures <input type="number" id="copilot-capture-max-count" min="1"></label>
+            <label>Max size (MB) <input type="number" id="copilot-capture-max-mb" min="1"></label>
+          </div>
+          <label>Endpoints to keep (comma-separated, empty = all)
+            <input type="text" id="copilot-capture-endpoints" placeholder="e.g. GetConversation, GetChats">
+          </label>
+          <div id="copilot-capture-usage" class="hint"></div>
+        </div>
+        <button id="copilot-btn-backup">Automatic backup ▸</button>
+        <div id="copilot-backup-info" class="hint" hidden></div>
+        <div id="copilot-backup" hidden>
+          <label class="option"><input type="checkbox" id="copilot-backup-enabled"> Back up automatically while this tab is open</label>
+          <select id="copilot-backup-schedule">
+            <option value="interval">Every few hours</option>
+            <option value="daily">Daily at a set time</option>
+          </select>
+          <label>Hours between backups <input type="number" id="copilot-backup-hours" min="1" step="1"></label>
+          <label>Time of day <input type="time" id="copilot-backup-time"></label>
+          <select id="copilot-backup-download">
+            <option value="delta">Download changed conversations only</option>
+            <option value="full">Download all conversations</option>
+          </select>
+        </div>
+        <button id="copilot-btn-message-types">Message types ▸</button>
+        <div id="copilot-message-types" hidden>
+          <label class="option"><input type="checkbox" id="copilot-keep-grounding"> Keep grounding steps (searches and results) as tool messages</label>
+          <label>Skipped message types (comma-separated)
+            <textarea id="copilot-skip-types" rows="3"></textarea>
+          </label>
+          <div class="hint">Applies to conversations fetched or imported afterwards; the next Fetch All refetches the ones already captured.</div>
+        </div>
+        <button id="copilot-btn-settings">Settings ▸</button>
+        <div id="copilot-settings" hidden>
+          <div class="button-row">
+            <label title="Chats per chat list request">Page size <input type="number" id="copilot-set-page-size" min="1" max="200"></label>
+            <label title="Pause between chat list pages, and the starting gap between conversation requests">Request delay (ms) <input type="number" id="copilot-set-delay" min="0" max="10000" step="100"></label>
+          </div>
+          <label title="Maximum number of conversations fetched at the same time; the exporter slows down automatically when throttled">Parallel requests
+            <select id="copilot-concurrency">
+              ${Array.from({ length: MAX_CONCURRENCY }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join("")}
+            </select>
+          </label>
+          <label>Default date range
+            <select id="copilot-set-date-preset">
+              <option value="all">All time</option>
+              <option value="today">Today</option>
+              <option value="week">Last 7 days</option>
+              <option value="month">Last 30 days</option>
+              <option value="year">Last year</option>
+            </select>
+          </label>
+          <label>File name template
+            <input type="text" id="copilot-set-filename" placeholder="copilot_{type}_{date}">
+          </label>
+          <div class="hint">Tokens: {type} {date} {time} {user} {range} {count}</div>
+          <label class="option"><input type="checkbox" id="copilot-set-pretty"> Pretty-print JSON files</label>
+          <div class="button-row">
+            <button id="copilot-btn-settings-export">Export settings</button>
+            <button id="copilot-btn-settings-import">Import settings</button>
+          </div>
+          <input type="file" id="copilot-settings-file" accept=".json,application/json" hidden>
+        </div>
+        <button id="copilot-btn-clear">Clear stored data</button>
         <div class="hint">Click Fetch All to load all conversations<br>directly from the API. <a href="https://github.com/ingo/m365_copilot_chat_exporter" target="_blank" style="color: #9d8aff; text-decoration: none;">About</a></div>
       </div>
     `;
 
     document.body.appendChild(container);
     document.getElementById("copilot-btn-fetchall").addEventListener("click", doFetchAll);
+    document.getElementById("copilot-btn-pause").addEventListener("click", doTogglePause);
+    document.getElementById("copilot-btn-cancel").addEventListener("click", doCancelFetch);
+    document.getElementById("copilot-btn-resume").addEventListener("click", doResumeFetch);
+    document.getElementById("copilot-btn-retry").addEventListener("click", doRetryFailed);
     document.getElementById("copilot-btn-export").addEventListener("click", doExportConverted);
+    document.getElementById("copilot-btn-bundle").addEventListener("click", doExportBundle);
+    document.getElementById("copilot-btn-markdown").addEventListener("click", doExportMarkdown);
+    document.getElementById("copilot-btn-viewer").addEventListener("click", doExportViewer);
+    document.getElementById("copilot-btn-csv").addEventListener("click", doExportCsv);
+    document.getElementById("copilot-btn-jsonl").addEventListener("click", doExportJsonl);
     document.getElementById("copilot-btn-raw").addEventListener("click", doExportRaw);
+    document.getElementById("copilot-btn-clear").addEventListener("click", doClearStoredData);
+    const importFile = document.getElementById("copilot-import-file");
+    document.getElementById("copilot-btn-import").addEventListener("click", () => importFile.click());
+    importFile.addEventListener("change", async () => {
+      if (importFile.files.length > 0) await doImport(Array.from(importFile.files));
+      importFile.value = "";
+    });
+
+    initConversationBrowser();
+
+    const bundleImages = document.getElementById("copilot-bundle-images");
+    bundleImages.checked = getBundleImages();
+    bundleImages.addEventListener("change", (e) => {
+      setBundleImages(e.target.checked);
+    });
+
+    const legacyText = document.getElementById("copilot-legacy-text");
+    legacyText.checked = getTextMode() === "legacy";
+    legacyText.addEventListener("change", (e) => {
+      setTextMode(e.target.checked ? "legacy" : "faithful");
+    });
 
-    document.getElementById("copilot-date-range").addEventListener("change", (e) => {
+    const dateRange = document.getElementById("copilot-date-range");
+    dateRange.value = getSettings().datePreset;
+    dateRange.addEventListener("change", (e) => {
       const customRow = document.getElementById("copilot-custom-dates");
       customRow.classList.toggle("visible", e.target.value === "custom");
     });
 
+    initFilterControls();
+    initRedactionControls();
+    initCaptureControls();
+    initJsonlControls();
+    initMessageTypeControls();
+    initBackupControls();
+    initSettingsControls();
+
     // Minimize/maximize toggle
     const ui = document.getElementById("copilot-export-ui");
     const minimizeBtn = document.getElementById("copilot-export-minimize-btn");
@@ -910,6 +4842,41 @@
   }
 
   // ── Init ──────────────────────────────────────────────────────────
-  console.log("[Copilot Export v4.4] Loaded.");
+
+  // Loaded with require() (see copilot-export-cli.js): expose the
+  // converters and leave the browser hooks alone.
+  if (typeof window === "undefined" && typeof module === "object" && module.exports) {
+    module.exports = {
+      sanitizeText,
+      toUnixSeconds,
+      toIsoString,
+      getSkippedMessageTypes,
+      conversationFromResponse,
+      conversationsFromCaptures,
+      conversationFromChatGpt,
+      isBetterCopy,
+      BUILT_IN_REDACTIONS,
+      createRedactor,
+      buildConversationsJson,
+      buildMarkdownFiles,
+      buildJsonl,
+      buildCsvFiles,
+      buildExportBundle,
+      buildViewerHtml,
+      buildZip,
+    };
+    return;
+  }
+
+  console.log("[Copilot Export v5.0] Loaded.");
+  installInterceptors();
   createUI();
+  loadStoredData()
+    .catch((e) => {
+      console.warn(`[Copilot Export] Could not restore stored data: ${e?.message || e}`);
+    })
+    .finally(finishStoredDataLoad);
+  loadFetchState().catch((e) => {
+    console.warn(`[Copilot Export] Could not restore fetch checkpoint: ${e?.message || e}`);
+  });
 })();
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Convert files saved with "Export raw API captures" into conversations.json
+ * (or the other export formats) without a browser or a Microsoft login.
+ *
+ *   node copilot-export-cli.js [--format json|bundle|viewer|markdown|jsonl|csv]
+ *                              [--output FILE] [--legacy-text] [--window N]
+ *                              [--keep-grounding] CAPTURES.json...
+ *
+ * The conversion code is the userscript itself, loaded as a module.
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+// Node 18 has no global crypto outside ES modules; the converter needs
+// randomUUID().
+globalThis.crypto ??= require("crypto").webcrypto;
+
+const exporter = require("./copilot-chat-capture.user.js");
+
+const FORMATS = {
+  json: { prefix: "copilot_conversations", ext: "json" },
+  bundle: { prefix: "copilot_export", ext: "zip" },
+  viewer: { prefix: "copilot_viewer", ext: "html" },
+  markdown: { prefix: "copilot_markdown", ext: "zip" },
+  jsonl: { prefix: "copilot_dataset", ext: "jsonl" },
+  csv: { prefix: "copilot_csv", ext: "zip" },
+};
+
+const USAGE = `Usage: copilot-export-cli.js [options] CAPTURES.json...
+
+Options:
+  -f, --format FORMAT   json (default), bundle, viewer, markdown, jsonl or csv
+  -o, --output FILE     output path (default: copilot_<format>_<date>.<ext>)
+      --legacy-text     flatten newlines and tabs like versions up to 4.4
+      --window N        jsonl: one line per N turns instead of per conversation
+      --keep-grounding  keep search queries and results as tool messages
+  -h, --help            show this help`;
+
+/** Captures from one file: { manifest, captures } or the older bare array. */
+function readCaptures(file) {
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (Array.isArray(json?.captures)) return json.captures;
+  if (Array.isArray(json)) return json;
+  throw new Error(`${file}: not a raw capture export`);
+}
+
+function buildOutput(format, convs, textMode, windowTurns) {
+  if (format === "markdown") return exporter.buildZip(exporter.buildMarkdownFiles(convs));
+  if (format === "csv") return exporter.buildZip(exporter.buildCsvFiles(convs, textMode));
+  if (format === "jsonl") {
+    const settings = { windowTurns, dropEmptyAssistant: true, includeMetadata: true };
+    return exporter.buildJsonl(convs, settings, textMode).jsonl;
+  }
+
+  const result = exporter.buildConversationsJson(convs, textMode);
+  if (format === "json") return JSON.stringify({ conversations: result }, null, 2);
+  if (format === "viewer") return exporter.buildViewerHtml(result);
+  const user = { id: null, email: null, chatgpt_plus_user: false, birth_year: null, phone_number: null };
+  return exporter.buildZip(exporter.buildExportBundle(result, user));
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: "string", short: "f", default: "json" },
+      output: { type: "string", short: "o" },
+      "legacy-text": { type: "boolean", default: false },
+      window: { type: "string", default: "0" },
+      "keep-grounding": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+  const format = FORMATS[values.format];
+  if (!format) throw new Error(`unknown format "${values.format}"`);
+
+  const captures = positionals.flatMap(readCaptures);
+  const skipTypes = exporter.getSkippedMessageTypes({ keepGrounding: values["keep-grounding"], skipTypes: null });
+  const convs = exporter.conversationsFromCaptures(captures, skipTypes);
+  if (convs.length === 0) throw new Error("no conversations found in the captures");
+
+  const textMode = values["legacy-text"] ? "legacy" : "faithful";
+  const output = buildOutput(values.format, convs, textMode, parseInt(values.window, 10) || 0);
+  const file = values.output || `${format.prefix}_${new Date().toISOString().slice(0, 10)}.${format.ext}`;
+  const data = typeof output === "string" ? output : Buffer.from(await output.arrayBuffer());
+  fs.writeFileSync(file, data);
+
+  const totalMsgs = convs.reduce((s, c) => s + c.messages.length, 0);
+  console.log(`Wrote ${convs.length} conversations with ${totalMsgs} messages to ${path.resolve(file)}`);
+}
+
+main().catch((e) => {
+  console.error(`copilot-export-cli: ${e.message}`);
+  process.exitCode = 1;
+});
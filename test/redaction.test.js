@@ -0,0 +1,68 @@
+// Run with: node --test test/
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRedactor } = require("../copilot-chat-capture.user.js");
+
+function redactWith(custom, text) {
+  const redactor = createRedactor({ enabled: true, builtIn: {}, custom });
+  return { text: redactor.redact(text), counts: redactor.counts };
+}
+
+test("custom rule with a lookbehind replaces what it counts", () => {
+  const { text, counts } = redactWith("/(?<=password: )\\S+/ => ***", "password: hunter2");
+  assert.strictEqual(text, "password: ***");
+  assert.deepStrictEqual(counts, { "/(?<=password: )\\S+/": 1 });
+});
+
+test("custom rule with a lookahead replaces what it counts", () => {
+  const { text, counts } = redactWith("/secret(?=-\\d)/ => [S]", "secret-42 and secret-x");
+  assert.strictEqual(text, "[S]-42 and secret-x");
+  assert.deepStrictEqual(counts, { "/secret(?=-\\d)/": 1 });
+});
+
+test("custom rule anchored with ^ and the m flag matches every line", () => {
+  const { text, counts } = redactWith("/^Token: .+$/m => Token: [T]", "Token: abc\nnote\nToken: def");
+  assert.strictEqual(text, "Token: [T]\nnote\nToken: [T]");
+  assert.deepStrictEqual(counts, { "/^Token: .+$/m": 2 });
+});
+
+test("custom rule replacement can refer to groups", () => {
+  const { text } = redactWith("/(user)=\\w+/ => $1=[U]", "user=alice");
+  assert.strictEqual(text, "user=[U]");
+});
+
+test("plain custom rule is case-insensitive and leaves other text alone", () => {
+  const { text, counts } = redactWith("Contoso => [CUSTOMER]", "contoso and Fabrikam");
+  assert.strictEqual(text, "[CUSTOMER] and Fabrikam");
+  assert.deepStrictEqual(counts, { Contoso: 1 });
+});
+
+function redactPhones(text) {
+  const redactor = createRedactor({ enabled: true, builtIn: { phone: true }, custom: "" });
+  return redactor.redact(text);
+}
+
+test("phone rule redacts prefixed and North American numbers", () => {
+  assert.strictEqual(redactPhones("call +1 425 555 0100"), "call [PHONE-1]");
+  assert.strictEqual(redactPhones("call (425) 555-0100."), "call [PHONE-1].");
+  assert.strictEqual(redactPhones("call 425-555-0100, thanks"), "call [PHONE-1], thanks");
+  assert.strictEqual(redactPhones("+44 20 7946 0958"), "[PHONE-1]");
+  assert.strictEqual(redactPhones("+4917012345678"), "[PHONE-1]");
+});
+
+test("phone rule leaves other digit groups alone", () => {
+  for (const text of [
+    "12 345 678 dollars",
+    "Room 101 2024 5000",
+    "server 192.168.100.12",
+    "ip 10.0.100.200 ok",
+    "v1.425.555.0100",
+    "released 2024-01-15",
+    "card 1234 5678 9012",
+    "425-555 0100",
+  ]) {
+    assert.strictEqual(redactPhones(text), text);
+  }
+});